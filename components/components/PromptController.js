@@ -5,6 +5,8 @@
 import { css, html, LitElement } from 'lit';
 import { classMap } from 'lit/directives/class-map.js';
 import { styleMap } from 'lit/directives/style-map.js';
+import { DEFAULT_MAPPING, describeControl, mapCcValue, matchesControl, SoftTakeover } from '../utils/MidiMapping.js';
+import './MappingEditor.js';
 
 /** A single prompt input associated with a MIDI CC. */
 export class PromptController extends LitElement {
@@ -74,6 +76,30 @@ export class PromptController extends LitElement {
       visibility: visible;
     }
 
+    #midi-row {
+      display: flex;
+      align-items: center;
+      gap: 0.5vmin;
+    }
+
+    #mapping-toggle {
+      font-size: 1.5vmin;
+      margin-top: 0.75vmin;
+      color: #fff;
+      cursor: pointer;
+      visibility: hidden;
+      user-select: none;
+    }
+
+    .show-cc #mapping-toggle {
+      visibility: visible;
+    }
+
+    mapping-editor {
+      position: absolute;
+      bottom: 4vmin;
+    }
+
     #text {
       font-weight: 500;
       font-size: 1.8vmin;
@@ -122,9 +148,12 @@ export class PromptController extends LitElement {
         filtered: { type: Boolean, reflect: true },
         cc: { type: Number },
         channel: { type: Number },
+        deviceId: { type: String },
+        mapping: { type: Object },
         learnMode: { type: Boolean },
         showCC: { type: Boolean },
         midiDispatcher: { type: Object },
+        showMappingEditor: { state: true },
     };
 
     constructor() {
@@ -135,30 +164,57 @@ export class PromptController extends LitElement {
         this.color = '';
         this.filtered = false;
         this.cc = 0;
-        this.channel = 0; // Not currently used
+        // Learned along with the CC; null answers to any channel or device.
+        this.channel = null;
+        this.deviceId = null;
+        this.mapping = { ...DEFAULT_MAPPING };
         this.learnMode = false;
         this.showCC = false;
         this.midiDispatcher = null;
+        this.showMappingEditor = false;
+        this.takeover = new SoftTakeover();
+        this.lastMidiWeight = null;
         this.lastValidText = '';
+        this.handleCcMessage = this.handleCcMessage.bind(this);
         this.handlePointerMove = this.handlePointerMove.bind(this);
         this.handlePointerUp = this.handlePointerUp.bind(this);
     }
 
     connectedCallback() {
         super.connectedCallback();
-        this.midiDispatcher?.addEventListener('cc-message', (e) => {
-            const { channel, cc, value } = e.detail;
-            if (this.learnMode) {
-                this.cc = cc;
-                this.channel = channel;
-                this.learnMode = false;
-                this.dispatchPromptChange();
-            }
-            else if (cc === this.cc) {
-                this.weight = (value / 127) * 2;
-                this.dispatchPromptChange();
-            }
-        });
+        this.midiDispatcher?.addEventListener('cc-message', this.handleCcMessage);
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        this.midiDispatcher?.removeEventListener('cc-message', this.handleCcMessage);
+    }
+
+    handleCcMessage(e) {
+        const { channel, cc, value, deviceId } = e.detail;
+        if (this.learnMode) {
+            this.cc = cc;
+            this.channel = channel;
+            this.deviceId = deviceId;
+            this.learnMode = false;
+            this.takeover.release();
+            this.dispatchPromptChange();
+        }
+        else if (matchesControl(this, e.detail)) {
+            const mapping = { ...DEFAULT_MAPPING, ...this.mapping };
+            const fraction = mapCcValue(mapping, value);
+            if (mapping.softTakeover && !this.takeover.accept(fraction, this.weight / 2)) return;
+            this.weight = fraction * 2;
+            this.lastMidiWeight = this.weight;
+            this.dispatchPromptChange();
+        }
+    }
+
+    willUpdate(changedProperties) {
+        // Any change that didn't come from the knob means it has to pick the value up again.
+        if (changedProperties.has('weight') && this.weight !== this.lastMidiWeight) {
+            this.takeover.release();
+        }
     }
 
     firstUpdated(changedProperties) {
@@ -173,9 +229,11 @@ export class PromptController extends LitElement {
     update(changedProperties) {
         if (changedProperties.has('showCC') && !this.showCC) {
             this.learnMode = false;
+            this.showMappingEditor = false;
         }
         if (changedProperties.has('text') && this.textInput) {
             this.textInput.textContent = this.text;
+            this.lastValidText = this.text;
         }
         super.update(changedProperties);
     }
@@ -189,6 +247,9 @@ export class PromptController extends LitElement {
                 text: this.text,
                 weight: this.weight,
                 cc: this.cc,
+                channel: this.channel,
+                deviceId: this.deviceId,
+                mapping: this.mapping,
                 color: this.color,
             },
         }));
@@ -263,6 +324,16 @@ export class PromptController extends LitElement {
         this.learnMode = !this.learnMode;
     }
 
+    toggleMappingEditor() {
+        this.showMappingEditor = !this.showMappingEditor;
+    }
+
+    handleMappingChanged(e) {
+        this.mapping = e.detail;
+        this.takeover.release();
+        this.dispatchPromptChange();
+    }
+
     render() {
         const classes = classMap({
             'prompt': true,
@@ -289,9 +360,15 @@ export class PromptController extends LitElement {
           @focus=${this.onFocus}
           @keydown=${this.onKeyDown}
           @blur=${this.updateText}></span>
-        <div id="midi" @click=${this.toggleLearnMode}>
-          ${this.learnMode ? 'Learn' : `CC:${this.cc}`}
+        <div id="midi-row">
+          <div id="midi" @click=${this.toggleLearnMode}>
+            ${this.learnMode ? 'Learn' : describeControl(this)}
+          </div>
+          <span id="mapping-toggle" title="Mapping options" @click=${this.toggleMappingEditor}>⚙</span>
         </div>
+        ${this.showMappingEditor ? html`<mapping-editor
+            .mapping=${this.mapping}
+            @mapping-changed=${this.handleMappingChanged}></mapping-editor>` : ''}
       </div>
     `;
     }
@@ -0,0 +1,132 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { css, html, LitElement } from 'lit';
+import { styleMap } from 'lit/directives/style-map.js';
+
+/**
+ * Transport and lanes of the automation recorder. Dispatches
+ * `automation-record`, `automation-play`, `automation-stop`,
+ * `automation-clear` with `{promptId}` (undefined for all lanes) and
+ * `automation-options` with `{loop, tempoRelative}`.
+ */
+export class AutomationPanel extends LitElement {
+    static styles = css`
+    :host {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 5px;
+      align-items: center;
+      color: #fff;
+    }
+    button {
+      font: inherit;
+      font-weight: 600;
+      cursor: pointer;
+      color: #fff;
+      background: #0002;
+      -webkit-font-smoothing: antialiased;
+      border: 1.5px solid #fff;
+      border-radius: 4px;
+      user-select: none;
+      padding: 3px 6px;
+    }
+    button.recording {
+      background-color: #ff4122;
+      border-color: #ff4122;
+    }
+    button.active {
+      background-color: #fff;
+      color: #000;
+    }
+    label {
+      display: flex;
+      align-items: center;
+      gap: 2px;
+      font-size: 12px;
+    }
+    progress {
+      width: 8vmin;
+    }
+    .lane {
+      display: flex;
+      align-items: center;
+      gap: 2px;
+      font-size: 12px;
+      padding: 1px 4px;
+      border-radius: 4px;
+      background: var(--lane-color, #888);
+      color: #000;
+    }
+    .lane button {
+      border: none;
+      background: none;
+      color: #000;
+      padding: 0 2px;
+    }
+  `;
+
+    static properties = {
+        state: { type: String },
+        progress: { type: Number },
+        lanes: { type: Array },
+        loop: { type: Boolean },
+        tempoRelative: { type: Boolean },
+    };
+
+    constructor() {
+        super();
+        this.state = 'stopped';
+        this.progress = 0;
+        // `[{promptId, text, color}]`
+        this.lanes = [];
+        this.loop = true;
+        this.tempoRelative = true;
+    }
+
+    dispatch(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    changeOptions(changes) {
+        this.dispatch('automation-options', { loop: this.loop, tempoRelative: this.tempoRelative, ...changes });
+    }
+
+    render() {
+        const isRecording = this.state === 'recording';
+        return html`
+      <button
+        class=${isRecording ? 'recording' : ''}
+        title=${this.lanes.length > 0 ? 'Overdub' : 'Record automation'}
+        @click=${() => this.dispatch(isRecording ? 'automation-stop' : 'automation-record')}>
+        ${isRecording ? '■ Rec' : '● Rec'}
+      </button>
+      <button
+        class=${this.state === 'playing' ? 'active' : ''}
+        ?disabled=${this.lanes.length === 0}
+        @click=${() => this.dispatch(this.state === 'stopped' ? 'automation-play' : 'automation-stop')}>
+        ${this.state === 'stopped' ? '▶ Auto' : '■ Auto'}
+      </button>
+      <label>
+        <input type="checkbox" .checked=${this.loop} @change=${(e) => this.changeOptions({ loop: e.target.checked })} />
+        Loop
+      </label>
+      <label title="Play back faster or slower when the BPM changes">
+        <input
+          type="checkbox"
+          .checked=${this.tempoRelative}
+          @change=${(e) => this.changeOptions({ tempoRelative: e.target.checked })} />
+        Tempo
+      </label>
+      ${this.state !== 'stopped' ? html`<progress max="1" .value=${this.progress}></progress>` : ''}
+      ${this.lanes.map(({ promptId, text, color }) => html`<span class="lane" style=${styleMap({ '--lane-color': color })}>
+          ${text}
+          <button title="Clear lane" @click=${() => this.dispatch('automation-clear', { promptId })}>✕</button>
+        </span>`)}
+      ${this.lanes.length > 0 ? html`<button @click=${() => this.dispatch('automation-clear', {})}>Clear</button>` : ''}
+    `;
+    }
+}
+
+customElements.define('automation-panel', AutomationPanel);
@@ -0,0 +1,180 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { css, html, LitElement } from 'lit';
+import { classMap } from 'lit/directives/class-map.js';
+import { CROSSFADER_CURVES } from '../utils/Crossfader.js';
+import { DEFAULT_MAPPING, describeControl, mapCcValue, matchesControl, SoftTakeover } from '../utils/MidiMapping.js';
+
+const DECK_NAMES = ['A', 'B'];
+const STATE_SYMBOLS = { playing: '▶', loading: '…', paused: '❚❚', stopped: '■' };
+
+/**
+ * The crossfader between two decks, with its curve, a MIDI learn button and
+ * each deck's playback state. Listens for CCs on every dispatcher in
+ * `midiDispatchers`, so it can be learned from either deck's controller.
+ * Dispatches `crossfader-changed` with `{position, curve, cc, channel,
+ * deviceId}`.
+ */
+export class CrossfaderControl extends LitElement {
+    static styles = css`
+    :host {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 10px;
+      background: #000d;
+      border: 1.5px solid #fff;
+      border-radius: 4px;
+      color: #fff;
+      font-size: 12px;
+    }
+    .deck {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+      font-weight: 600;
+      opacity: 0.5;
+    }
+    .deck.live {
+      opacity: 1;
+    }
+    .state {
+      font-family: monospace;
+      font-weight: normal;
+    }
+    input[type=range] {
+      width: 200px;
+    }
+    #midi {
+      font-family: monospace;
+      border: 1px solid #fff;
+      border-radius: 3px;
+      padding: 1px 4px;
+      cursor: pointer;
+    }
+    #midi.learn-mode {
+      color: orange;
+      border-color: orange;
+    }
+  `;
+
+    static properties = {
+        position: { type: Number },
+        curve: { type: String },
+        cc: { type: Number },
+        channel: { type: Number },
+        deviceId: { type: String },
+        deckStates: { type: Array },
+        midiDispatchers: { type: Array },
+        learnMode: { state: true },
+    };
+
+    constructor() {
+        super();
+        this.position = 0.5;
+        this.curve = CROSSFADER_CURVES[0].value;
+        this.cc = null;
+        this.channel = null;
+        this.deviceId = null;
+        this.deckStates = ['stopped', 'stopped'];
+        this.midiDispatchers = [];
+        this.learnMode = false;
+        this.takeover = new SoftTakeover();
+        this.handleCcMessage = this.handleCcMessage.bind(this);
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        for (const dispatcher of this.midiDispatchers) dispatcher.addEventListener('cc-message', this.handleCcMessage);
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        for (const dispatcher of this.midiDispatchers) dispatcher.removeEventListener('cc-message', this.handleCcMessage);
+    }
+
+    handleCcMessage(e) {
+        const { cc, channel, value, deviceId } = e.detail;
+        if (this.learnMode) {
+            this.cc = cc;
+            this.channel = channel;
+            this.deviceId = deviceId;
+            this.learnMode = false;
+            this.takeover.release();
+            this.dispatchChange();
+        }
+        else if (this.cc !== null && matchesControl(this, e.detail)) {
+            const position = mapCcValue(DEFAULT_MAPPING, value);
+            if (!this.takeover.accept(position, this.position)) return;
+            this.position = position;
+            this.dispatchChange();
+        }
+    }
+
+    handleInput(e) {
+        this.position = Number(e.target.value);
+        this.takeover.release();
+        this.dispatchChange();
+    }
+
+    handleCurveChange(e) {
+        this.curve = e.target.value;
+        this.dispatchChange();
+    }
+
+    /** Double-clicking centers the fader. */
+    center() {
+        this.position = 0.5;
+        this.takeover.release();
+        this.dispatchChange();
+    }
+
+    toggleLearnMode() {
+        this.learnMode = !this.learnMode;
+    }
+
+    dispatchChange() {
+        const { position, curve, cc, channel, deviceId } = this;
+        this.dispatchEvent(new CustomEvent('crossfader-changed', {
+            detail: { position, curve, cc, channel, deviceId },
+        }));
+    }
+
+    renderDeck(i) {
+        const state = this.deckStates[i];
+        const live = state === 'playing' || state === 'loading';
+        return html`<span class=${classMap({ deck: true, live })} title="Deck ${DECK_NAMES[i]}: ${state}">
+        ${DECK_NAMES[i]} <span class="state">${STATE_SYMBOLS[state] ?? state}</span>
+      </span>`;
+    }
+
+    render() {
+        return html`
+      ${this.renderDeck(0)}
+      <input
+        type="range"
+        min="0"
+        max="1"
+        step="0.01"
+        title="Crossfader; double-click to center"
+        .value=${String(this.position)}
+        @input=${this.handleInput}
+        @dblclick=${this.center}>
+      ${this.renderDeck(1)}
+      <select .value=${this.curve} @change=${this.handleCurveChange} title="Crossfader curve">
+        ${CROSSFADER_CURVES.map(c => html`<option value=${c.value} ?selected=${c.value === this.curve}>${c.label}</option>`)}
+      </select>
+      <span
+        id="midi"
+        class=${classMap({ 'learn-mode': this.learnMode })}
+        title="Click, then move a control to learn it"
+        @click=${this.toggleLearnMode}>
+        ${this.learnMode ? 'Learn' : this.cc === null ? 'MIDI' : describeControl(this)}
+      </span>
+    `;
+    }
+}
+
+customElements.define('crossfader-control', CrossfaderControl);
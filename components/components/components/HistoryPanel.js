@@ -0,0 +1,91 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { css, html, LitElement } from 'lit';
+
+/**
+ * Undo and redo steps of the prompt history, most recent first. Clicking a
+ * step goes back or forward to it. Dispatches `history-undo` and
+ * `history-redo` with `{steps}`.
+ */
+export class HistoryPanel extends LitElement {
+    static styles = css`
+    :host {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      padding: 6px;
+      background: #000d;
+      border: 1.5px solid #fff;
+      border-radius: 4px;
+      color: #fff;
+      font-size: 12px;
+      min-width: 14em;
+      max-height: 50vh;
+      overflow-y: auto;
+    }
+    .row {
+      display: flex;
+      gap: 4px;
+    }
+    button {
+      font: inherit;
+      flex: 1;
+    }
+    .step {
+      cursor: pointer;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    .step:hover {
+      text-decoration: underline;
+    }
+    .redo {
+      color: #fff8;
+    }
+    .current {
+      font-weight: 600;
+    }
+    .empty {
+      color: #fff8;
+    }
+  `;
+
+    static properties = {
+        undoLabels: { type: Array },
+        redoLabels: { type: Array },
+    };
+
+    constructor() {
+        super();
+        this.undoLabels = [];
+        this.redoLabels = [];
+    }
+
+    dispatch(type, steps) {
+        this.dispatchEvent(new CustomEvent(type, { detail: { steps } }));
+    }
+
+    render() {
+        const isEmpty = this.undoLabels.length === 0 && this.redoLabels.length === 0;
+        return html`
+      <div class="row">
+        <button ?disabled=${this.undoLabels.length === 0} title="Ctrl+Z" @click=${() => this.dispatch('history-undo', 1)}>Undo</button>
+        <button ?disabled=${this.redoLabels.length === 0} title="Ctrl+Shift+Z" @click=${() => this.dispatch('history-redo', 1)}>Redo</button>
+      </div>
+      ${isEmpty ? html`<div class="empty">No changes yet.</div>` : ''}
+      ${[...this.redoLabels].reverse().map((label, i, all) => html`<div
+          class="step redo"
+          title="Redo to here"
+          @click=${() => this.dispatch('history-redo', all.length - i)}>${label}</div>`)}
+      ${this.undoLabels.map((label, i) => html`<div
+          class="step ${i === 0 ? 'current' : ''}"
+          title="Undo this and later changes"
+          @click=${() => this.dispatch('history-undo', i + 1)}>${label}</div>`)}
+    `;
+    }
+}
+
+customElements.define('history-panel', HistoryPanel);
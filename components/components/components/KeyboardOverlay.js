@@ -0,0 +1,182 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { css, html, LitElement } from 'lit';
+import { DEFAULT_KEY_BINDINGS, describeKey, eventToCode, KEY_ACTIONS } from '../utils/KeyboardMapping.js';
+
+/**
+ * Lists the computer keyboard bindings and lets them be relearned: click a
+ * key, then press the new one. Dispatches `bindings-changed` with the full list.
+ */
+export class KeyboardOverlay extends LitElement {
+    static styles = css`
+    :host {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      padding: 6px;
+      background: #000d;
+      border: 1.5px solid #fff;
+      border-radius: 4px;
+      color: #fff;
+      font-size: 12px;
+      max-height: 70vh;
+      overflow-y: auto;
+    }
+    .binding {
+      display: flex;
+      align-items: center;
+      gap: 6px;
+    }
+    .key {
+      font-family: monospace;
+      min-width: 5em;
+      cursor: pointer;
+      color: #fff;
+      background: #0006;
+      border: 1px solid #fff;
+      border-radius: 3px;
+      padding: 1px 4px;
+    }
+    .key.learning {
+      color: orange;
+      border-color: orange;
+    }
+    .action {
+      flex: 1;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+      max-width: 20em;
+    }
+    .remove {
+      cursor: pointer;
+      background: none;
+      border: none;
+      color: #fff8;
+    }
+    .footer {
+      display: flex;
+      gap: 4px;
+      margin-top: 4px;
+    }
+    input, select, button {
+      font: inherit;
+    }
+    input[type='number'] {
+      width: 3.5em;
+    }
+  `;
+
+    static properties = {
+        bindings: { type: Array },
+        promptLabels: { type: Array },
+        learningIndex: { state: true },
+        newAction: { state: true },
+        newTarget: { state: true },
+    };
+
+    constructor() {
+        super();
+        this.bindings = [];
+        this.promptLabels = [];
+        this.learningIndex = null;
+        this.newAction = KEY_ACTIONS[0].value;
+        this.newTarget = 1;
+        this.handleLearnKey = this.handleLearnKey.bind(this);
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        // Capture on window runs before the performance shortcuts see the key.
+        window.addEventListener('keydown', this.handleLearnKey, true);
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        window.removeEventListener('keydown', this.handleLearnKey, true);
+    }
+
+    handleLearnKey(e) {
+        if (this.learningIndex === null) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (e.code === 'Escape') {
+            this.learningIndex = null;
+            return;
+        }
+        const code = eventToCode(e);
+        if (!code) return;
+        // A key does one thing; learning it here takes it away from any other binding.
+        const bindings = this.bindings
+            .map((b, i) => (i === this.learningIndex ? { ...b, code } : b))
+            .filter((b, i) => i === this.learningIndex || b.code !== code);
+        this.learningIndex = null;
+        this.change(bindings);
+    }
+
+    change(bindings) {
+        this.bindings = bindings;
+        this.dispatchEvent(new CustomEvent('bindings-changed', { detail: bindings }));
+    }
+
+    describeAction({ action, target }) {
+        const { label } = KEY_ACTIONS.find(a => a.value === action);
+        if (action === 'scene') return `${label} ${target + 1}`;
+        if (target === null) return label;
+        const prompt = this.promptLabels[target];
+        return `${label}: ${prompt ?? `prompt ${target + 1}`}`;
+    }
+
+    removeBinding(index) {
+        this.learningIndex = null;
+        this.change(this.bindings.filter((_, i) => i !== index));
+    }
+
+    /** Appends a binding for the chosen action and waits for its key. */
+    addBinding() {
+        const needsTarget = !['play-pause', 'record'].includes(this.newAction);
+        const binding = { code: '', action: this.newAction, target: needsTarget ? Math.max(1, this.newTarget) - 1 : null };
+        this.change([...this.bindings, binding]);
+        this.learningIndex = this.bindings.length - 1;
+    }
+
+    resetBindings() {
+        this.learningIndex = null;
+        this.change(DEFAULT_KEY_BINDINGS.map(b => ({ ...b })));
+    }
+
+    render() {
+        const needsTarget = !['play-pause', 'record'].includes(this.newAction);
+        return html`
+      ${this.bindings.map((binding, i) => html`<div class="binding">
+          <button
+            class="key ${this.learningIndex === i ? 'learning' : ''}"
+            title="Click, then press a key"
+            @click=${() => { this.learningIndex = i; }}>
+            ${this.learningIndex === i ? 'Press…' : binding.code ? describeKey(binding.code) : '—'}
+          </button>
+          <span class="action">${this.describeAction(binding)}</span>
+          <button class="remove" title="Remove" @click=${() => this.removeBinding(i)}>×</button>
+        </div>`)}
+      <div class="footer">
+        <select .value=${this.newAction} @change=${(e) => { this.newAction = e.target.value; }}>
+          ${KEY_ACTIONS.map(({ value, label }) => html`<option value=${value}>${label}</option>`)}
+        </select>
+        <input
+          type="number"
+          min="1"
+          step="1"
+          title=${this.newAction === 'scene' ? 'Scene' : 'Prompt'}
+          .value=${String(this.newTarget)}
+          ?disabled=${!needsTarget}
+          @change=${(e) => { this.newTarget = Number(e.target.value) || 1; }} />
+        <button @click=${this.addBinding}>Add</button>
+        <button @click=${this.resetBindings}>Reset</button>
+      </div>
+    `;
+    }
+}
+
+customElements.define('keyboard-overlay', KeyboardOverlay);
@@ -0,0 +1,123 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { css, html, LitElement } from 'lit';
+import { classMap } from 'lit/directives/class-map.js';
+
+/**
+ * Loop slots grabbed from the live stream. Each slot can be grabbed again,
+ * played, faded in or out, leveled and cleared. `slots` are `Looper`
+ * `slots-changed` details. Dispatches `loop-action` with `{action, slot}`,
+ * plus `{length, unit}` for `grab` and `{level}` for `level`.
+ */
+export class LooperPanel extends LitElement {
+    static styles = css`
+    :host {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      padding: 6px;
+      background: #000d;
+      border: 1.5px solid #fff;
+      border-radius: 4px;
+      color: #fff;
+      font-size: 12px;
+    }
+    .row {
+      display: flex;
+      gap: 4px;
+      align-items: center;
+    }
+    button, input, select {
+      font: inherit;
+    }
+    input[type=number] {
+      width: 4em;
+    }
+    input[type=range] {
+      width: 6em;
+    }
+    .slot.playing .name {
+      color: #3dffab;
+    }
+    .name {
+      font-weight: 600;
+    }
+    .duration {
+      font-family: monospace;
+      width: 4.5em;
+      text-align: right;
+    }
+    .empty {
+      color: #fff8;
+    }
+  `;
+
+    static properties = {
+        slots: { type: Array },
+        length: { state: true },
+        unit: { state: true },
+    };
+
+    constructor() {
+        super();
+        this.slots = [];
+        this.length = 4;
+        this.unit = 'bars';
+    }
+
+    dispatch(action, slot, detail = {}) {
+        this.dispatchEvent(new CustomEvent('loop-action', { detail: { action, slot, ...detail } }));
+    }
+
+    handleLengthChange(e) {
+        const length = Number(e.target.value);
+        if (Number.isFinite(length) && length > 0) this.length = length;
+    }
+
+    renderSlot(loop, i) {
+        const grab = html`<button
+          title="Grab the last ${this.length} ${this.unit} into this slot"
+          @click=${() => this.dispatch('grab', i, { length: this.length, unit: this.unit })}>Grab</button>`;
+        if (!loop) {
+            return html`<div class="row slot">
+          <span class="name">${i + 1}</span>
+          ${grab}
+          <span class="empty">Empty</span>
+        </div>`;
+        }
+        return html`<div class=${classMap({ row: true, slot: true, playing: loop.playing })}>
+        <span class="name">${i + 1}</span>
+        ${grab}
+        <span class="duration">${loop.duration.toFixed(2)}s</span>
+        <button @click=${() => this.dispatch(loop.playing ? 'stop' : 'play', i)}>${loop.playing ? 'Stop' : 'Play'}</button>
+        <button @click=${() => this.dispatch('fade', i)}>${loop.playing ? 'Fade out' : 'Fade in'}</button>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.01"
+          title="Level"
+          .value=${String(loop.level)}
+          @input=${(e) => this.dispatch('level', i, { level: Number(e.target.value) })}>
+        <button title="Clear" @click=${() => this.dispatch('clear', i)}>✕</button>
+      </div>`;
+    }
+
+    render() {
+        return html`
+      <div class="row">
+        Grab the last
+        <input type="number" min="0" step="any" .value=${String(this.length)} @change=${this.handleLengthChange} />
+        <select .value=${this.unit} @change=${(e) => this.unit = e.target.value}>
+          <option value="bars">bars</option>
+          <option value="seconds">sec</option>
+        </select>
+      </div>
+      ${this.slots.map((loop, i) => this.renderSlot(loop, i))}
+    `;
+    }
+}
+
+customElements.define('looper-panel', LooperPanel);
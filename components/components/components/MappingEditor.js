@@ -0,0 +1,91 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { css, html, LitElement } from 'lit';
+import { DEFAULT_MAPPING, MAPPING_CURVES } from '../utils/MidiMapping.js';
+
+/** A small form for a MIDI mapping's range, inversion, curve and pickup. */
+export class MappingEditor extends LitElement {
+    static styles = css`
+    :host {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      padding: 6px;
+      background: #000d;
+      border: 1.5px solid #fff;
+      border-radius: 4px;
+      color: #fff;
+      font-size: 12px;
+      z-index: 2;
+    }
+    label {
+      display: flex;
+      justify-content: space-between;
+      align-items: center;
+      gap: 6px;
+      white-space: nowrap;
+    }
+    input[type='number'] {
+      width: 4em;
+    }
+    input, select {
+      font: inherit;
+    }
+  `;
+
+    static properties = {
+        mapping: { type: Object },
+    };
+
+    constructor() {
+        super();
+        this.mapping = { ...DEFAULT_MAPPING };
+    }
+
+    willUpdate(changedProperties) {
+        if (changedProperties.has('mapping')) {
+            this.mapping = { ...DEFAULT_MAPPING, ...this.mapping };
+        }
+    }
+
+    change(changes) {
+        this.mapping = { ...this.mapping, ...changes };
+        this.dispatchEvent(new CustomEvent('mapping-changed', { detail: this.mapping }));
+    }
+
+    /** Reads a 0-100% input back as a clamped fraction. */
+    changePercent(key, e) {
+        const value = Number(e.target.value);
+        if (!Number.isFinite(value)) return;
+        this.change({ [key]: Math.max(0, Math.min(100, value)) / 100 });
+    }
+
+    render() {
+        const { min, max, invert, curve, softTakeover } = this.mapping;
+        return html`
+      <label>Min %
+        <input type="number" min="0" max="100" .value=${String(Math.round(min * 100))}
+          @change=${(e) => this.changePercent('min', e)} />
+      </label>
+      <label>Max %
+        <input type="number" min="0" max="100" .value=${String(Math.round(max * 100))}
+          @change=${(e) => this.changePercent('max', e)} />
+      </label>
+      <label>Curve
+        <select .value=${curve} @change=${(e) => this.change({ curve: e.target.value })}>
+          ${MAPPING_CURVES.map(({ value, label }) => html`<option value=${value}>${label}</option>`)}
+        </select>
+      </label>
+      <label>Invert
+        <input type="checkbox" .checked=${invert} @change=${(e) => this.change({ invert: e.target.checked })} />
+      </label>
+      <label>Pickup
+        <input type="checkbox" .checked=${softTakeover} @change=${(e) => this.change({ softTakeover: e.target.checked })} />
+      </label>
+    `;
+    }
+}
+
+customElements.define('mapping-editor', MappingEditor);
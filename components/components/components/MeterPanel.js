@@ -0,0 +1,197 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { css, html, LitElement } from 'lit';
+import { styleMap } from 'lit/directives/style-map.js';
+
+/** Bottom of the meter and spectrum scales, in dBFS. */
+const FLOOR_DB = -60;
+const SPECTRUM_FLOOR_DB = -100;
+/** How long, in ms, a peak is held before the hold line falls. */
+const PEAK_HOLD = 1500;
+/** How fast, in dB per second, the hold line falls afterwards. */
+const PEAK_FALL = 20;
+const MIN_FREQUENCY = 20;
+const MAX_FREQUENCY = 20000;
+
+/**
+ * Stereo peak and RMS meters with peak hold and latching clip lights, and a
+ * spectrum on a log frequency axis. `analysis` is an `AudioAnalyser`
+ * `analysis` event; `spectrum` is in dB per bin of `binWidth` Hz.
+ */
+export class MeterPanel extends LitElement {
+    static styles = css`
+    :host {
+      display: flex;
+      gap: 6px;
+      padding: 6px;
+      background: #000d;
+      border: 1.5px solid #fff;
+      border-radius: 4px;
+      color: #fff;
+      font-size: 11px;
+      font-family: monospace;
+    }
+    .meters {
+      display: flex;
+      gap: 4px;
+    }
+    .channel {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 2px;
+    }
+    .clip {
+      width: 14px;
+      height: 8px;
+      border-radius: 2px;
+      background: #400;
+      cursor: pointer;
+    }
+    .clip.lit {
+      background: #ff4122;
+    }
+    .bar {
+      position: relative;
+      width: 14px;
+      height: 120px;
+      background: #222;
+      overflow: hidden;
+    }
+    .peak, .rms {
+      position: absolute;
+      bottom: 0;
+      left: 0;
+      right: 0;
+      /* Sized to the whole bar, so the color shows the level. */
+      background: linear-gradient(to top, #3dffab 0%, #d8ff3e 75%, #ff4122 100%) bottom / 100% 120px;
+    }
+    .peak {
+      opacity: 0.45;
+    }
+    .hold {
+      position: absolute;
+      left: 0;
+      right: 0;
+      height: 2px;
+      background: #fff;
+    }
+    canvas {
+      width: 240px;
+      height: 120px;
+      background: #111;
+      align-self: flex-end;
+    }
+  `;
+
+    static properties = {
+        analysis: { type: Object },
+        spectrum: { type: Object },
+        binWidth: { type: Number },
+        clipLatched: { state: true },
+    };
+
+    constructor() {
+        super();
+        this.analysis = null;
+        this.spectrum = null;
+        this.binWidth = 0;
+        this.clipLatched = [false, false];
+        // `{db, time}` of the held peak of each channel.
+        this.holds = [{ db: FLOOR_DB, time: 0 }, { db: FLOOR_DB, time: 0 }];
+        this.lastHoldUpdate = performance.now();
+    }
+
+    willUpdate(changedProperties) {
+        if (!changedProperties.has('analysis') || !this.analysis) return;
+        const now = performance.now();
+        const fall = (now - this.lastHoldUpdate) / 1000 * PEAK_FALL;
+        this.lastHoldUpdate = now;
+        this.analysis.channels.forEach(({ peak, clipping }, c) => {
+            const hold = this.holds[c];
+            if (peak >= hold.db) {
+                this.holds[c] = { db: peak, time: now };
+            }
+            else if (now - hold.time > PEAK_HOLD) {
+                hold.db = Math.max(peak, hold.db - fall);
+            }
+            if (clipping && !this.clipLatched[c]) {
+                this.clipLatched = this.clipLatched.map((lit, i) => lit || i === c);
+            }
+        });
+    }
+
+    updated(changedProperties) {
+        if (changedProperties.has('spectrum')) this.drawSpectrum();
+    }
+
+    resetClip() {
+        this.clipLatched = [false, false];
+    }
+
+    drawSpectrum() {
+        const canvas = this.renderRoot.querySelector('canvas');
+        if (!canvas) return;
+        const { width, height } = canvas;
+        const ctx = canvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        if (!this.spectrum || !this.binWidth) return;
+        const logRange = Math.log(MAX_FREQUENCY / MIN_FREQUENCY);
+        ctx.beginPath();
+        ctx.moveTo(0, height);
+        this.spectrum.forEach((db, i) => {
+            const frequency = i * this.binWidth;
+            if (frequency < MIN_FREQUENCY || frequency > MAX_FREQUENCY) return;
+            const x = Math.log(frequency / MIN_FREQUENCY) / logRange * width;
+            const y = height * (1 - toFraction(db, SPECTRUM_FLOOR_DB));
+            ctx.lineTo(x, y);
+        });
+        ctx.lineTo(width, height);
+        ctx.closePath();
+        ctx.fillStyle = '#2af6de88';
+        ctx.strokeStyle = '#2af6de';
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    renderChannel(label, c) {
+        const { peak, rms } = this.analysis?.channels[c] ?? { peak: FLOOR_DB, rms: FLOOR_DB };
+        const percent = (db) => `${toFraction(db, FLOOR_DB) * 100}%`;
+        return html`<div class="channel">
+        <div
+          class="clip ${this.clipLatched[c] ? 'lit' : ''}"
+          title="Clipped; click to reset"
+          @click=${this.resetClip}></div>
+        <div class="bar">
+          <div class="peak" style=${styleMap({ height: percent(peak) })}></div>
+          <div class="rms" style=${styleMap({ height: percent(rms) })}></div>
+          <div class="hold" style=${styleMap({ bottom: percent(this.holds[c].db) })}></div>
+        </div>
+        <span>${label}</span>
+        <span title="Peak hold, dBFS">${formatDb(this.holds[c].db)}</span>
+      </div>`;
+    }
+
+    render() {
+        return html`
+      <div class="meters">
+        ${this.renderChannel('L', 0)}
+        ${this.renderChannel('R', 1)}
+      </div>
+      <canvas width="240" height="120"></canvas>
+    `;
+    }
+}
+
+/** Position of `db` between `floor` and 0 dBFS, 0-1. */
+function toFraction(db, floor) {
+    return Math.max(0, Math.min(1, (db - floor) / -floor));
+}
+
+function formatDb(db) {
+    return db <= FLOOR_DB ? '-∞' : db.toFixed(1);
+}
+
+customElements.define('meter-panel', MeterPanel);
@@ -0,0 +1,125 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { css, html, LitElement } from 'lit';
+import { classMap } from 'lit/directives/class-map.js';
+import { MORPH_CURVES } from '../utils/PromptMorpher.js';
+
+/** Weight snapshots and the controls for morphing between them. */
+export class MorphPanel extends LitElement {
+    static styles = css`
+    :host {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 5px;
+      align-items: center;
+      color: #fff;
+    }
+    button {
+      font: inherit;
+      font-weight: 600;
+      cursor: pointer;
+      color: #fff;
+      background: #0002;
+      -webkit-font-smoothing: antialiased;
+      border: 1.5px solid #fff;
+      border-radius: 4px;
+      user-select: none;
+      padding: 3px 6px;
+    }
+    .snapshot {
+      display: flex;
+    }
+    .snapshot button:first-child {
+      border-top-right-radius: 0;
+      border-bottom-right-radius: 0;
+    }
+    .snapshot button.delete {
+      border-left: none;
+      border-top-left-radius: 0;
+      border-bottom-left-radius: 0;
+    }
+    .snapshot.target button {
+      background-color: #fff;
+      color: #000;
+    }
+    input, select {
+      font: inherit;
+      padding: 3px;
+      border-radius: 4px;
+      border: none;
+      outline: none;
+    }
+    input {
+      width: 4em;
+    }
+    progress {
+      width: 8vmin;
+    }
+  `;
+
+    static properties = {
+        snapshots: { type: Array },
+        targetId: { type: String },
+        progress: { type: Number },
+        length: { state: true },
+        unit: { state: true },
+        curve: { state: true },
+    };
+
+    constructor() {
+        super();
+        this.snapshots = [];
+        this.targetId = null;
+        this.progress = 0;
+        this.length = 4;
+        this.unit = 'bars';
+        this.curve = MORPH_CURVES[0].value;
+    }
+
+    capture() {
+        this.dispatchEvent(new CustomEvent('snapshot-capture'));
+    }
+
+    startMorph(snapshotId) {
+        this.dispatchEvent(new CustomEvent('morph-start', {
+            detail: { snapshotId, length: this.length, unit: this.unit, curve: this.curve },
+        }));
+    }
+
+    deleteSnapshot(snapshotId) {
+        this.dispatchEvent(new CustomEvent('snapshot-delete', { detail: { snapshotId } }));
+    }
+
+    cancelMorph() {
+        this.dispatchEvent(new CustomEvent('morph-cancel'));
+    }
+
+    handleLengthChange(e) {
+        const length = Number(e.target.value);
+        if (Number.isFinite(length) && length >= 0) this.length = length;
+    }
+
+    render() {
+        return html`
+      <button @click=${this.capture}>Snapshot</button>
+      ${this.snapshots.map(({ id, name }) => html`<div class=${classMap({ snapshot: true, target: id === this.targetId })}>
+          <button @click=${() => this.startMorph(id)}>${name}</button>
+          <button class="delete" @click=${() => this.deleteSnapshot(id)}>✕</button>
+        </div>`)}
+      <input type="number" min="0" step="any" .value=${String(this.length)} @change=${this.handleLengthChange} />
+      <select .value=${this.unit} @change=${(e) => this.unit = e.target.value}>
+        <option value="bars">bars</option>
+        <option value="seconds">sec</option>
+      </select>
+      <select .value=${this.curve} @change=${(e) => this.curve = e.target.value}>
+        ${MORPH_CURVES.map(({ value, label }) => html`<option value=${value}>${label}</option>`)}
+      </select>
+      ${this.targetId ? html`<progress max="1" .value=${this.progress}></progress>
+        <button @click=${this.cancelMorph}>Cancel</button>` : ''}
+    `;
+    }
+}
+
+customElements.define('morph-panel', MorphPanel);
@@ -0,0 +1,282 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { css, html, LitElement } from 'lit';
+import { classMap } from 'lit/directives/class-map.js';
+import { styleMap } from 'lit/directives/style-map.js';
+import { DEFAULT_MAPPING, describeControl, mapCcValue, matchesControl, SoftTakeover } from '../utils/MidiMapping.js';
+import './MappingEditor.js';
+
+/** Pixels of vertical drag needed to sweep the knob over its full range. */
+const DRAG_RANGE = 150;
+
+/** A single numeric parameter knob, answering the MIDI CC it has learned. */
+export class ParamController extends LitElement {
+    static styles = css`
+    .param {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 0.5vmin;
+      color: #fff;
+      user-select: none;
+      position: relative;
+    }
+
+    .knob {
+      width: 6vmin;
+      height: 6vmin;
+      border-radius: 50%;
+      background: conic-gradient(from 225deg, #fff var(--fill), #0004 var(--fill) 75%, transparent 75%);
+      border: 0.15vmin solid #fff4;
+      cursor: ns-resize;
+      position: relative;
+      touch-action: none;
+    }
+
+    .knob::after {
+      content: '';
+      position: absolute;
+      inset: 0.8vmin;
+      border-radius: 50%;
+      background: #111;
+    }
+
+    .knob.auto {
+      opacity: 0.5;
+    }
+
+    .label {
+      font-weight: 500;
+      font-size: 1.4vmin;
+    }
+
+    .value {
+      font-family: monospace;
+      font-size: 1.3vmin;
+    }
+
+    #midi {
+      font-family: monospace;
+      text-align: center;
+      font-size: 1.3vmin;
+      border: 0.2vmin solid #fff;
+      border-radius: 0.5vmin;
+      padding: 1px 4px;
+      color: #fff;
+      background: #0006;
+      cursor: pointer;
+      visibility: hidden;
+    }
+
+    .learn-mode #midi {
+      color: orange;
+      border-color: orange;
+    }
+
+    .show-cc #midi {
+      visibility: visible;
+    }
+
+    #mapping-toggle {
+      font-size: 1.3vmin;
+      cursor: pointer;
+      visibility: hidden;
+    }
+
+    .show-cc #mapping-toggle {
+      visibility: visible;
+    }
+
+    mapping-editor {
+      position: absolute;
+      top: 100%;
+    }
+  `;
+
+    static properties = {
+        paramId: { type: String },
+        label: { type: String },
+        value: { type: Number },
+        defaultValue: { type: Number },
+        min: { type: Number },
+        max: { type: Number },
+        step: { type: Number },
+        cc: { type: Number },
+        channel: { type: Number },
+        deviceId: { type: String },
+        mapping: { type: Object },
+        learnMode: { type: Boolean },
+        showCC: { type: Boolean },
+        midiDispatcher: { type: Object },
+        showMappingEditor: { state: true },
+    };
+
+    constructor() {
+        super();
+        this.paramId = '';
+        this.label = '';
+        this.value = null;
+        this.defaultValue = null;
+        this.min = 0;
+        this.max = 1;
+        this.step = 0.01;
+        this.cc = 0;
+        this.channel = null;
+        this.deviceId = null;
+        this.mapping = { ...DEFAULT_MAPPING };
+        this.learnMode = false;
+        this.showCC = false;
+        this.midiDispatcher = null;
+        this.showMappingEditor = false;
+        this.takeover = new SoftTakeover();
+        this.lastMidiValue = null;
+        this.dragStartY = 0;
+        this.dragStartValue = 0;
+        this.handleCcMessage = this.handleCcMessage.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        this.midiDispatcher?.addEventListener('cc-message', this.handleCcMessage);
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        this.midiDispatcher?.removeEventListener('cc-message', this.handleCcMessage);
+    }
+
+    update(changedProperties) {
+        if (changedProperties.has('showCC') && !this.showCC) {
+            this.learnMode = false;
+            this.showMappingEditor = false;
+        }
+        super.update(changedProperties);
+    }
+
+    willUpdate(changedProperties) {
+        if (changedProperties.has('value') && this.value !== this.lastMidiValue) {
+            this.takeover.release();
+        }
+    }
+
+    handleCcMessage(e) {
+        const { cc, channel, value, deviceId } = e.detail;
+        if (this.learnMode) {
+            this.cc = cc;
+            this.channel = channel;
+            this.deviceId = deviceId;
+            this.learnMode = false;
+            this.takeover.release();
+            this.dispatchParamChange();
+        }
+        else if (this.cc !== null && matchesControl(this, e.detail)) {
+            const mapping = { ...DEFAULT_MAPPING, ...this.mapping };
+            const fraction = mapCcValue(mapping, value);
+            const current = this.value === null ? null : (this.value - this.min) / (this.max - this.min);
+            // An "auto" knob has nothing to pick up, so the first message takes over.
+            if (mapping.softTakeover && current !== null && !this.takeover.accept(fraction, current)) return;
+            this.setValue(this.min + fraction * (this.max - this.min));
+            this.lastMidiValue = this.value;
+        }
+    }
+
+    /** Clamps and quantizes `value` to the knob's range and step. */
+    setValue(value) {
+        const clamped = Math.max(this.min, Math.min(this.max, value));
+        const quantized = Math.round((clamped - this.min) / this.step) * this.step + this.min;
+        this.value = Number(quantized.toFixed(4));
+        this.dispatchParamChange();
+    }
+
+    dispatchParamChange() {
+        this.dispatchEvent(new CustomEvent('param-changed', {
+            bubbles: true,
+            composed: true,
+            detail: {
+                paramId: this.paramId,
+                value: this.value,
+                cc: this.cc,
+                channel: this.channel,
+                deviceId: this.deviceId,
+                mapping: this.mapping,
+            },
+        }));
+    }
+
+    handlePointerDown(e) {
+        e.preventDefault();
+        document.body.classList.add('dragging');
+        this.dragStartY = e.clientY;
+        this.dragStartValue = this.value ?? (this.min + this.max) / 2;
+        window.addEventListener('pointermove', this.handlePointerMove);
+        window.addEventListener('pointerup', this.handlePointerUp);
+    }
+
+    handlePointerMove(e) {
+        const delta = (this.dragStartY - e.clientY) / DRAG_RANGE;
+        this.setValue(this.dragStartValue + delta * (this.max - this.min));
+    }
+
+    handlePointerUp() {
+        window.removeEventListener('pointermove', this.handlePointerMove);
+        window.removeEventListener('pointerup', this.handlePointerUp);
+        document.body.classList.remove('dragging');
+    }
+
+    /** Double-clicking returns the knob to its default, which may be "auto". */
+    resetValue() {
+        this.value = this.defaultValue;
+        this.dispatchParamChange();
+    }
+
+    toggleLearnMode() {
+        this.learnMode = !this.learnMode;
+    }
+
+    toggleMappingEditor() {
+        this.showMappingEditor = !this.showMappingEditor;
+    }
+
+    handleMappingChanged(e) {
+        this.mapping = e.detail;
+        this.takeover.release();
+        this.dispatchParamChange();
+    }
+
+    render() {
+        const classes = classMap({
+            'param': true,
+            'learn-mode': this.learnMode,
+            'show-cc': this.showCC,
+        });
+        const isAuto = this.value === null;
+        const fraction = isAuto ? 0 : (this.value - this.min) / (this.max - this.min);
+        const knobStyle = styleMap({
+            '--fill': `${fraction * 75}%`,
+        });
+        return html`
+      <div class=${classes}>
+        <div
+          class=${classMap({ knob: true, auto: isAuto })}
+          style=${knobStyle}
+          @pointerdown=${this.handlePointerDown}
+          @dblclick=${this.resetValue}></div>
+        <div class="label">${this.label}</div>
+        <div class="value">${isAuto ? 'Auto' : this.value}</div>
+        <div id="midi" @click=${this.toggleLearnMode}>
+          ${this.learnMode ? 'Learn' : this.cc === null ? 'MIDI' : describeControl(this)}
+        </div>
+        <span id="mapping-toggle" title="Mapping options" @click=${this.toggleMappingEditor}>⚙</span>
+        ${this.showMappingEditor ? html`<mapping-editor
+            .mapping=${this.mapping}
+            @mapping-changed=${this.handleMappingChanged}></mapping-editor>` : ''}
+      </div>
+    `;
+    }
+}
+
+customElements.define('param-controller', ParamController);
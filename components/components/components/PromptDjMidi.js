@@ -4,10 +4,52 @@
 */
 import { css, html, LitElement } from 'lit';
 import { styleMap } from 'lit/directives/style-map.js';
+import { repeat } from 'lit/directives/repeat.js';
 import { throttle } from '../utils/throttle.js';
 import './PromptController.js';
 import './PlayPauseButton.js';
+import './ParamController.js';
+import './MorphPanel.js';
+import './SceneBank.js';
+import './KeyboardOverlay.js';
+import './SessionPanel.js';
+import './AutomationPanel.js';
+import './HistoryPanel.js';
+import './MeterPanel.js';
+import './LooperPanel.js';
 import { MidiDispatcher } from '../utils/MidiDispatcher.js';
+import { GamepadDispatcher, isGamepadDevice } from '../utils/GamepadDispatcher.js';
+import { DEFAULT_MAPPING, unmapCcValue } from '../utils/MidiMapping.js';
+import { CLOCK_MODES, MidiClock } from '../utils/MidiClock.js';
+import { CONFIG_PARAMS, DEFAULT_CONFIG, SCALES, validateConfig } from '../utils/MusicConfig.js';
+import { extensionForMimeType, RECORDING_FORMATS } from '../utils/audio.js';
+import { barsToSeconds, PromptMorpher } from '../utils/PromptMorpher.js';
+import { DEFAULT_KEY_BINDINGS, eventToCode, NUDGE_STEP, sanitizeKeyBindings } from '../utils/KeyboardMapping.js';
+import { createSetDocument, MAX_GRID_SIZE, MIN_GRID_SIZE, mergeSetDocuments, parseSetDocument } from '../utils/SetFile.js';
+import { SessionStore } from '../utils/SessionStore.js';
+import { AutomationRecorder } from '../utils/AutomationRecorder.js';
+import { PromptHistory } from '../utils/PromptHistory.js';
+import { DEFAULT_EFFECTS, EFFECT_PARAMS, validateEffects } from '../utils/MasterEffects.js';
+
+/** Tempo assumed for bar-length morphs, and loops while no tempo is detected, while BPM is left to the model. */
+const FALLBACK_BPM = 120;
+
+/** Note number of the first scene pad; scene n answers to Note On `FIRST_SCENE_NOTE + n`. */
+const FIRST_SCENE_NOTE = 36;
+
+/** Pad that toggles playback and is lit while playing. */
+const PLAY_STATE_NOTE = 35;
+
+/** Colors handed out to new prompts, in turn. */
+const NEW_PROMPT_COLORS = ['#9900ff', '#5200ff', '#ff25f6', '#2af6de', '#ffdd28', '#3dffab', '#d8ff3e', '#d9b2ff'];
+
+/** Pad velocities sent as LED feedback. */
+const PAD_ON = 127;
+const PAD_DIM = 16;
+const PAD_OFF = 0;
+
+/** Properties that are autosaved when they change. */
+const SESSION_PROPERTIES = ['gridColumns', 'gridRows', 'prompts', 'scenes', 'config', 'configMidi', 'effects', 'effectsMidi', 'keyBindings', 'showMidi', 'activeMidiInputId'];
 
 /** The grid of prompt inputs. */
 export class PromptDjMidi extends LitElement {
@@ -30,16 +72,46 @@ export class PromptDjMidi extends LitElement {
       background: #111;
     }
     #grid {
-      width: 80vmin;
-      height: 80vmin;
       display: grid;
-      grid-template-columns: repeat(4, 1fr);
       gap: 2.5vmin;
       margin-top: 8vmin;
     }
+    .cell {
+      position: relative;
+      display: flex;
+      min-width: 0;
+      min-height: 0;
+    }
     prompt-controller {
       width: 100%;
     }
+    .cell-edit {
+      position: absolute;
+      inset: 0;
+      cursor: grab;
+      border: 1.5px dashed #fff8;
+      border-radius: 1vmin;
+    }
+    .cell-edit.drop-target {
+      border-color: #fff;
+      background: #fff2;
+    }
+    .remove-prompt {
+      position: absolute;
+      top: 0;
+      right: 0;
+      padding: 0 5px;
+    }
+    .add-prompt {
+      border-style: dashed;
+      font-size: 4vmin;
+    }
+    #grid-size {
+      display: flex;
+      gap: 3px;
+      align-items: center;
+      color: #fff;
+    }
     play-pause-button {
       position: relative;
       width: 15vmin;
@@ -50,6 +122,7 @@ export class PromptDjMidi extends LitElement {
       left: 0;
       padding: 5px;
       display: flex;
+      flex-wrap: wrap;
       gap: 5px;
       align-items: center;
     }
@@ -84,51 +157,698 @@ export class PromptDjMidi extends LitElement {
       outline: none;
       cursor: pointer;
     }
-    #load-set-input {
+    #load-set-input, #merge-set-input {
       display: none;
     }
+    #connection-status {
+      color: orange;
+      font-weight: 600;
+    }
+    #performance {
+      position: absolute;
+      bottom: 0;
+      left: 0;
+      padding: 5px;
+      display: flex;
+      flex-direction: column;
+      align-items: flex-start;
+      gap: 5px;
+      max-width: 40vw;
+    }
+    #scenes {
+      position: absolute;
+      bottom: 0;
+      right: 0;
+      padding: 5px;
+    }
+    #panels {
+      position: absolute;
+      top: 40px;
+      right: 0;
+      margin: 5px;
+      display: flex;
+      gap: 5px;
+      align-items: flex-start;
+    }
+    #buffer-stats {
+      color: #fffa;
+      font-family: monospace;
+      font-size: 12px;
+    }
+    #knobs {
+      position: absolute;
+      top: 40px;
+      left: 0;
+      display: flex;
+      flex-direction: column;
+    }
+    #config[hidden], #effects[hidden] {
+      display: none;
+    }
+    #config, .effects-section {
+      padding: 5px;
+      display: flex;
+      gap: 2vmin;
+      align-items: flex-start;
+      color: #fff;
+    }
+    #effects {
+      display: flex;
+      flex-wrap: wrap;
+      max-width: 80vw;
+    }
+    .effects-section h3 {
+      margin: 0;
+      font-size: 1.4vmin;
+      font-weight: 600;
+      writing-mode: vertical-rl;
+      transform: rotate(180deg);
+    }
+    #config label {
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      gap: 0.5vmin;
+      font-weight: 500;
+      font-size: 1.4vmin;
+    }
+    #config input {
+      font: inherit;
+      width: 10vmin;
+      padding: 5px;
+      border-radius: 4px;
+      border: none;
+      outline: none;
+    }
   `;
 
     static properties = {
         prompts: { state: true },
         showMidi: { state: true },
         playbackState: { type: String },
+        keysEnabled: { type: Boolean },
         audioLevel: { state: true },
+        analysis: { type: Object },
+        spectrum: { type: Object },
+        spectrumBinWidth: { type: Number },
+        showMeters: { state: true },
         midiInputIds: { state: true },
         activeMidiInputId: { state: true },
         isRecording: { state: true },
         filteredPrompts: { state: true },
+        config: { state: true },
+        configMidi: { state: true },
+        showConfig: { state: true },
+        effects: { state: true },
+        effectsMidi: { state: true },
+        showEffects: { state: true },
+        connectionStatus: { state: true },
+        bufferStats: { type: Object },
+        recordingFormat: { state: true },
+        snapshots: { state: true },
+        morphTargetId: { state: true },
+        morphProgress: { state: true },
+        scenes: { state: true },
+        activeSceneId: { state: true },
+        clockMode: { state: true },
+        keyBindings: { state: true },
+        showKeys: { state: true },
+        showSession: { state: true },
+        sessionSnapshots: { state: true },
+        gridColumns: { state: true },
+        gridRows: { state: true },
+        editGrid: { state: true },
+        dropIndex: { state: true },
+        automationState: { state: true },
+        automationProgress: { state: true },
+        automationLaneIds: { state: true },
+        automationLoop: { state: true },
+        automationTempoRelative: { state: true },
+        showHistory: { state: true },
+        historyLabels: { state: true },
+        loopSlots: { type: Array },
+        showLooper: { state: true },
     };
 
-    constructor(initialPrompts) {
+    /**
+     * @param options `sessionKey` is the localStorage key the session is
+     *     kept under, so two decks can keep separate ones.
+     */
+    constructor(initialPrompts, { sessionKey } = {}) {
         super();
         this.prompts = initialPrompts;
         this.midiDispatcher = new MidiDispatcher();
         this.showMidi = false;
         this.playbackState = 'stopped';
+        // Off for the deck that doesn't have the keyboard in two-deck mode.
+        this.keysEnabled = true;
         this.audioLevel = 0;
+        // Latest `AudioAnalyser` measurements; the spectrum is only wanted while the meters show.
+        this.analysis = null;
+        this.spectrum = null;
+        this.spectrumBinWidth = 0;
+        this.showMeters = false;
         this.midiInputIds = [];
         this.activeMidiInputId = null;
         this.isRecording = false;
         this.filteredPrompts = new Set();
+        this.config = { ...DEFAULT_CONFIG };
+        // MIDI mapping of each config knob: `{cc, channel, deviceId, mapping}`.
+        this.configMidi = defaultConfigMidi();
+        this.showConfig = false;
+        this.effects = { ...DEFAULT_EFFECTS };
+        // MIDI mapping of each effect knob, like `configMidi`.
+        this.effectsMidi = defaultEffectsMidi();
+        this.showEffects = false;
+        this.connectionStatus = '';
+        this.bufferStats = null;
+        this.recordingFormat = RECORDING_FORMATS[0].value;
+        this.snapshots = [];
+        this.snapshotCount = 0;
+        this.morphTargetId = null;
+        this.morphProgress = 0;
+        this.morpher = new PromptMorpher();
+        this.morpher.addEventListener('morph-frame', (e) => this.applyMorphFrame(e.detail));
+        this.morpher.addEventListener('morph-end', () => {
+            this.morphTargetId = null;
+        });
+        this.scenes = [];
+        this.activeSceneId = null;
+        this.midiDispatcher.addEventListener('program-change', (e) => {
+            const scene = this.scenes[e.detail.program];
+            if (scene) this.recallScene(scene.id);
+        });
+        this.midiDispatcher.addEventListener('note-on', (e) => {
+            if (e.detail.note === PLAY_STATE_NOTE) {
+                this.playPause();
+                return;
+            }
+            const scene = this.scenes.find(s => s.note === e.detail.note);
+            if (scene) this.recallScene(scene.id);
+        });
+        this.litSceneNotes = new Set();
+        this.clockMode = 'off';
+        this.midiClock = new MidiClock(this.midiDispatcher);
+        this.midiClock.addEventListener('tempo-changed', (e) => {
+            const { min, max } = CONFIG_PARAMS.bpm;
+            const bpm = Math.max(min, Math.min(max, e.detail.bpm));
+            if (bpm !== this.config.bpm) this.updateConfig({ bpm });
+        });
+        this.midiClock.addEventListener('transport', (e) => {
+            this.dispatchEvent(new CustomEvent(e.detail.state === 'stop' ? 'pause' : 'play'));
+        });
+        this.midiDispatcher.addEventListener('inputs-changed', (e) => this.handleMidiInputsChanged(e.detail));
+        this.gamepadDispatcher = new GamepadDispatcher();
+        // Gamepad controls reach the prompts and knobs through the same `cc-message` stream as MIDI.
+        this.gamepadDispatcher.addEventListener('cc-message', (e) => {
+            this.midiDispatcher.dispatchEvent(new CustomEvent('cc-message', { detail: e.detail }));
+        });
+        this.gamepadDispatcher.addEventListener('gamepads-changed', (e) => {
+            const { connected } = e.detail;
+            this.dispatchEvent(new CustomEvent('info', { detail: connected ? `Gamepad connected: ${connected}.` : 'Gamepad disconnected.' }));
+        });
+        this.keyBindings = DEFAULT_KEY_BINDINGS.map(b => ({ ...b }));
+        this.showKeys = false;
+        // Held solo keys (by `KeyboardEvent.code`) and the weights to restore on release.
+        this.soloedPrompts = new Map();
+        this.soloWeights = null;
+        this.handleKeyDown = this.handleKeyDown.bind(this);
+        this.handleKeyUp = this.handleKeyUp.bind(this);
+        this.releaseSolos = this.releaseSolos.bind(this);
+        this.gridColumns = 4;
+        this.gridRows = 4;
+        this.fitGrid(this.prompts.size);
+        this.editGrid = false;
+        this.dragIndex = null;
+        this.dropIndex = null;
+        this.automation = new AutomationRecorder();
+        this.automationState = 'stopped';
+        this.automationProgress = 0;
+        this.automationLaneIds = [];
+        this.automationLoop = true;
+        this.automationTempoRelative = true;
+        this.automation.addEventListener('automation-frame', (e) => this.applyAutomationFrame(e.detail.changes));
+        this.automation.addEventListener('state-changed', (e) => {
+            this.automationState = e.detail.state;
+            this.automationLaneIds = e.detail.lanes;
+        });
+        this.automation.addEventListener('position', (e) => {
+            const { position, length } = e.detail;
+            this.automationProgress = length > 0 ? position / length : 0;
+        });
+        this.history = new PromptHistory();
+        this.showHistory = false;
+        this.historyLabels = { undo: [], redo: [] };
+        // `Looper` slots of the deck, as `slots-changed` describes them.
+        this.loopSlots = [];
+        this.showLooper = false;
+        this.history.addEventListener('history-changed', (e) => {
+            this.historyLabels = e.detail;
+        });
+        // What "Start fresh" goes back to.
+        this.freshPrompts = [...initialPrompts.values()].map(p => ({ ...p }));
+        this.sessionStore = new SessionStore(localStorage, sessionKey);
+        this.sessionStore.addEventListener('error', (e) => {
+            this.dispatchEvent(new CustomEvent('error', { detail: e.detail }));
+        });
+        this.sessionSnapshots = this.sessionStore.listSnapshots();
+        this.showSession = false;
+        // Off until the saved session is restored, so it isn't overwritten first.
+        this.autosave = false;
+        this.flushSession = () => this.sessionStore.flush();
+    }
+
+    connectedCallback() {
+        super.connectedCallback();
+        window.addEventListener('keydown', this.handleKeyDown);
+        window.addEventListener('keyup', this.handleKeyUp);
+        window.addEventListener('blur', this.releaseSolos);
+        window.addEventListener('pagehide', this.flushSession);
+        this.gamepadDispatcher.start();
+    }
+
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        window.removeEventListener('keydown', this.handleKeyDown);
+        window.removeEventListener('keyup', this.handleKeyUp);
+        window.removeEventListener('blur', this.releaseSolos);
+        window.removeEventListener('pagehide', this.flushSession);
+        this.gamepadDispatcher.stop();
+    }
+
+    updated(changedProperties) {
+        if (changedProperties.has('config')) {
+            this.midiClock.setMasterTempo(this.config.bpm ?? FALLBACK_BPM);
+            this.automation.setTempo(this.config.bpm ?? FALLBACK_BPM);
+        }
+        if (changedProperties.has('playbackState')) {
+            this.midiClock.setMasterRunning(this.playbackState === 'playing');
+        }
+        if (['prompts', 'scenes', 'activeSceneId', 'playbackState'].some(key => changedProperties.has(key))) {
+            this.sendMidiFeedback();
+        }
+        if (this.autosave && SESSION_PROPERTIES.some(key => changedProperties.has(key))) {
+            this.sessionStore.save(this.getSessionDocument());
+        }
+    }
+
+    /**
+     * Echoes prompt weights to the controller's faders and LED rings, and
+     * lights the scene and play-state pads. With `force`, everything is
+     * resent, e.g. after switching devices.
+     */
+    sendMidiFeedback(force = false) {
+        if (!this.midiDispatcher.access) return;
+        for (const prompt of this.prompts.values()) {
+            if (isGamepadDevice(prompt.deviceId)) continue;
+            const value = unmapCcValue(prompt.mapping, prompt.weight / 2);
+            this.midiDispatcher.sendCc(prompt.channel ?? 0, prompt.cc, value, force);
+        }
+        const sceneNotes = new Set(this.scenes.map(s => s.note));
+        for (const note of this.litSceneNotes) {
+            if (!sceneNotes.has(note)) this.midiDispatcher.sendNote(0, note, PAD_OFF, force);
+        }
+        for (const scene of this.scenes) {
+            this.midiDispatcher.sendNote(0, scene.note, scene.id === this.activeSceneId ? PAD_ON : PAD_DIM, force);
+        }
+        this.litSceneNotes = sceneNotes;
+        const playVelocity = { playing: PAD_ON, loading: PAD_DIM }[this.playbackState] ?? PAD_OFF;
+        this.midiDispatcher.sendNote(0, PLAY_STATE_NOTE, playVelocity, force);
+    }
+
+    /** Runs the keyboard binding for a key, unless a text field such as a prompt's text has focus. */
+    handleKeyDown(e) {
+        if (!this.keysEnabled || isEditable(e.composedPath()[0])) return;
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && ['z', 'y'].includes(e.key.toLowerCase())) {
+            e.preventDefault();
+            if (e.key.toLowerCase() === 'y' || e.shiftKey) this.redo();
+            else this.undo();
+            return;
+        }
+        const code = eventToCode(e);
+        const binding = code && this.keyBindings.find(b => b.code === code);
+        if (!binding) return;
+        e.preventDefault();
+        const prompt = [...this.prompts.values()][binding.target];
+        // Auto-repeat only makes sense for nudges.
+        if (e.repeat && !binding.action.startsWith('nudge-')) return;
+        switch (binding.action) {
+            case 'nudge-up':
+            case 'nudge-down':
+                if (prompt) this.nudgeWeight(prompt.promptId, binding.action === 'nudge-up' ? NUDGE_STEP : -NUDGE_STEP);
+                break;
+            case 'solo':
+                if (prompt) this.startSolo(e.code, prompt.promptId);
+                break;
+            case 'scene': {
+                const scene = this.scenes[binding.target];
+                if (scene) this.recallScene(scene.id);
+                break;
+            }
+            case 'play-pause':
+                this.playPause();
+                break;
+            case 'record':
+                this.handleRecordClick();
+                break;
+        }
+    }
+
+    handleKeyUp(e) {
+        this.endSolo(e.code);
+    }
+
+    nudgeWeight(promptId, delta) {
+        const prompt = this.prompts.get(promptId);
+        const weight = Math.max(0, Math.min(2, Math.round((prompt.weight + delta) * 100) / 100));
+        this.recordHistory(`Weight of "${prompt.text}"`, `weight:${promptId}`);
+        this.cancelMorph();
+        this.setWeights({ [promptId]: weight });
+    }
+
+    /** While a solo key is held, every prompt but the soloed ones is muted. */
+    startSolo(code, promptId) {
+        this.cancelMorph();
+        this.soloWeights ??= this.getWeights();
+        this.soloedPrompts.set(code, promptId);
+        this.applySolo();
+    }
+
+    endSolo(code) {
+        if (!this.soloedPrompts.delete(code)) return;
+        if (this.soloedPrompts.size > 0) {
+            this.applySolo();
+            return;
+        }
+        const weights = this.soloWeights;
+        this.soloWeights = null;
+        this.setWeights(weights);
+    }
+
+    /** Called on window blur too, since the key up would never arrive. */
+    releaseSolos() {
+        for (const code of [...this.soloedPrompts.keys()]) this.endSolo(code);
+    }
+
+    applySolo() {
+        const soloed = new Set(this.soloedPrompts.values());
+        // A silent prompt is brought in at full weight, or soloing it would mute everything.
+        this.setWeights(Object.fromEntries(Object.entries(this.soloWeights)
+            .map(([promptId, weight]) => [promptId, soloed.has(promptId) ? weight || 1 : 0])));
+    }
+
+    handleKeyBindingsChanged(e) {
+        this.releaseSolos();
+        this.keyBindings = e.detail;
+    }
+
+    toggleShowKeys() {
+        this.showKeys = !this.showKeys;
     }
 
     handlePromptChanged(e) {
-        const { promptId, text, weight, cc, color } = e.detail;
+        const { promptId, text, weight, cc, channel, deviceId, mapping, color } = e.detail;
         const prompt = this.prompts.get(promptId);
         if (!prompt) {
             console.error('prompt not found', promptId);
             return;
         }
+        this.recordPromptEdit(prompt, e.detail);
+        // Touching a prompt by hand takes over from a running morph.
+        this.cancelMorph();
         prompt.text = text;
         prompt.weight = weight;
         prompt.cc = cc;
+        prompt.channel = channel;
+        prompt.deviceId = deviceId;
+        prompt.mapping = mapping;
         prompt.color = color;
+        this.automation.capture(promptId, { weight, text });
         // Re-assign to trigger Lit update
         this.prompts = new Map(this.prompts);
         this.dispatchEvent(new CustomEvent('prompts-changed', { detail: this.prompts }));
     }
 
+    /** Records the prompts before an edit of `prompt`, named after what changed. */
+    recordPromptEdit(prompt, changes) {
+        const name = `"${prompt.text}"`;
+        const mappingOf = (p) => JSON.stringify([p.cc, p.channel ?? null, p.deviceId ?? null, { ...DEFAULT_MAPPING, ...p.mapping }]);
+        if (changes.text !== prompt.text) {
+            this.recordHistory(`Text of ${name}`);
+        }
+        else if (changes.weight !== prompt.weight) {
+            this.recordHistory(`Weight of ${name}`, `weight:${prompt.promptId}`);
+        }
+        else if (changes.color !== prompt.color) {
+            this.recordHistory(`Color of ${name}`);
+        }
+        else if (mappingOf(changes) !== mappingOf(prompt)) {
+            this.recordHistory(`MIDI mapping of ${name}`, `mapping:${prompt.promptId}`);
+        }
+    }
+
+    recordHistory(label, mergeKey = null) {
+        this.history.record(label, this.prompts.values(), mergeKey);
+    }
+
+    undo(steps = 1) {
+        this.travelHistory((current) => this.history.undo(current), steps);
+    }
+
+    redo(steps = 1) {
+        this.travelHistory((current) => this.history.redo(current), steps);
+    }
+
+    travelHistory(step, steps) {
+        let prompts = null;
+        for (let i = 0; i < steps; i++) {
+            const next = step(prompts ?? [...this.prompts.values()]);
+            if (!next) break;
+            prompts = next;
+        }
+        if (prompts) this.restorePrompts(prompts);
+    }
+
+    /** Puts back prompts from the history and notifies, like recalling a scene. */
+    restorePrompts(prompts) {
+        this.cancelMorph();
+        this.releaseSolos();
+        this.prompts = new Map(prompts.map(p => [p.promptId, p]));
+        this.fitGrid(this.prompts.size);
+        this.dispatchEvent(new CustomEvent('prompts-changed', { detail: this.prompts }));
+    }
+
+    toggleShowMeters() {
+        this.showMeters = !this.showMeters;
+    }
+
+    toggleShowHistory() {
+        this.showHistory = !this.showHistory;
+    }
+
+    toggleShowLooper() {
+        this.showLooper = !this.showLooper;
+    }
+
+    /**
+     * Passes a looper panel action on as `loop-action`, with grab lengths in
+     * seconds. Bars follow the BPM knob, or else the detected tempo.
+     */
+    handleLoopAction(e) {
+        const { action, slot, length, unit, level } = e.detail;
+        const bpm = this.config.bpm ?? this.analysis?.bpm ?? FALLBACK_BPM;
+        const seconds = unit === 'bars' ? barsToSeconds(length, bpm) : length;
+        this.dispatchEvent(new CustomEvent('loop-action', { detail: { action, slot, seconds, level } }));
+    }
+
+    handleParamChanged(e) {
+        const { paramId, value, cc, channel, deviceId, mapping } = e.detail;
+        this.configMidi = { ...this.configMidi, [paramId]: { cc, channel, deviceId, mapping } };
+        this.updateConfig({ [paramId]: value });
+    }
+
+    handleScaleChange(e) {
+        this.updateConfig({ scale: e.target.value });
+    }
+
+    handleSeedChange(e) {
+        const raw = e.target.value.trim();
+        if (!this.updateConfig({ seed: raw === '' ? null : Number(raw) })) {
+            e.target.value = this.config.seed ?? '';
+        }
+    }
+
+    /**
+     * Applies `changes` if they validate, so a rejected value never reaches
+     * the UI or the saved session. Returns whether they were applied.
+     */
+    updateConfig(changes) {
+        let validated;
+        try {
+            validated = validateConfig(changes);
+        }
+        catch (e) {
+            this.dispatchEvent(new CustomEvent('error', { detail: e.message }));
+            return false;
+        }
+        this.config = { ...this.config, ...validated };
+        this.dispatchEvent(new CustomEvent('config-changed', { detail: validated }));
+        return true;
+    }
+
+    handleEffectChanged(e) {
+        const { paramId, value, cc, channel, deviceId, mapping } = e.detail;
+        this.effectsMidi = { ...this.effectsMidi, [paramId]: { cc, channel, deviceId, mapping } };
+        this.updateEffects({ [paramId]: value });
+    }
+
+    /** Like `updateConfig`, for the master effects. */
+    updateEffects(changes) {
+        let validated;
+        try {
+            validated = validateEffects(changes);
+        }
+        catch (e) {
+            this.dispatchEvent(new CustomEvent('error', { detail: e.message }));
+            return false;
+        }
+        this.effects = { ...this.effects, ...validated };
+        this.dispatchEvent(new CustomEvent('effects-changed', { detail: validated }));
+        return true;
+    }
+
+    toggleShowEffects() {
+        this.showEffects = !this.showEffects;
+    }
+
+    getWeights() {
+        return Object.fromEntries([...this.prompts.values()].map(p => [p.promptId, p.weight]));
+    }
+
+    captureSnapshot() {
+        this.snapshotCount++;
+        const snapshot = {
+            id: `snapshot-${this.snapshotCount}`,
+            name: `S${this.snapshotCount}`,
+            weights: this.getWeights(),
+        };
+        this.snapshots = [...this.snapshots, snapshot];
+    }
+
+    deleteSnapshot(e) {
+        const { snapshotId } = e.detail;
+        if (snapshotId === this.morphTargetId) this.cancelMorph();
+        this.snapshots = this.snapshots.filter(s => s.id !== snapshotId);
+    }
+
+    startMorph(e) {
+        const { snapshotId, length, unit, curve } = e.detail;
+        const snapshot = this.snapshots.find(s => s.id === snapshotId);
+        if (!snapshot) return;
+        const duration = unit === 'bars' ? barsToSeconds(length, this.config.bpm ?? FALLBACK_BPM) : length;
+        this.morphTargetId = snapshotId;
+        this.morphProgress = 0;
+        this.morpher.start(this.getWeights(), snapshot.weights, duration, curve);
+    }
+
+    cancelMorph() {
+        this.morpher.cancel();
+        this.morphTargetId = null;
+    }
+
+    applyMorphFrame({ weights, progress }) {
+        this.morphProgress = progress;
+        this.setWeights(weights);
+    }
+
+    applyAutomationFrame(changes) {
+        for (const { promptId, weight, text } of changes) {
+            const prompt = this.prompts.get(promptId);
+            if (!prompt) continue;
+            prompt.weight = weight;
+            prompt.text = text;
+        }
+        this.prompts = new Map(this.prompts);
+        this.dispatchEvent(new CustomEvent('prompts-changed', { detail: this.prompts }));
+    }
+
+    handleAutomationOptions(e) {
+        const { loop, tempoRelative } = e.detail;
+        this.automationLoop = loop;
+        this.automationTempoRelative = tempoRelative;
+        this.automation.looping = loop;
+        this.automation.tempoRelative = tempoRelative;
+    }
+
+    getAutomationLanes() {
+        return this.automationLaneIds
+            .map(promptId => this.prompts.get(promptId))
+            .filter(Boolean)
+            .map(({ promptId, text, color }) => ({ promptId, text, color }));
+    }
+
+    setPromptText(promptId, text) {
+        const prompt = this.prompts.get(promptId);
+        if (!prompt) return;
+        prompt.text = text;
+        this.prompts = new Map(this.prompts);
+        this.dispatchEvent(new CustomEvent('prompts-changed', { detail: this.prompts }));
+    }
+
+    /** Sets the weights of the prompts in `weights`, by prompt id, and notifies. */
+    setWeights(weights) {
+        for (const [promptId, weight] of Object.entries(weights)) {
+            const prompt = this.prompts.get(promptId);
+            if (prompt) prompt.weight = weight;
+        }
+        this.prompts = new Map(this.prompts);
+        this.dispatchEvent(new CustomEvent('prompts-changed', { detail: this.prompts }));
+    }
+
+    /** Captures prompts, weights, colors and CCs as a new scene pad. */
+    addScene() {
+        const usedNotes = new Set(this.scenes.map(s => s.note));
+        let note = FIRST_SCENE_NOTE;
+        while (usedNotes.has(note)) note++;
+        const scene = { id: crypto.randomUUID(), note, ...this.captureScene() };
+        this.scenes = [...this.scenes, scene];
+        this.activeSceneId = scene.id;
+    }
+
+    captureScene() {
+        const prompts = [...this.prompts.values()].map(p => ({ ...p }));
+        const strongest = prompts.reduce((a, b) => (b.weight > a.weight ? b : a), prompts[0]);
+        return { prompts, color: strongest?.color ?? '#888888' };
+    }
+
+    overwriteScene(e) {
+        const { sceneId } = e.detail;
+        this.scenes = this.scenes.map(s => (s.id === sceneId ? { ...s, ...this.captureScene() } : s));
+        this.activeSceneId = sceneId;
+    }
+
+    deleteScene(e) {
+        const { sceneId } = e.detail;
+        this.scenes = this.scenes.filter(s => s.id !== sceneId);
+        if (this.activeSceneId === sceneId) this.activeSceneId = null;
+    }
+
+    recallScene(sceneId) {
+        const scene = this.scenes.find(s => s.id === sceneId);
+        if (!scene) return;
+        this.recordHistory(`Recall scene ${this.scenes.indexOf(scene) + 1}`);
+        this.cancelMorph();
+        this.prompts = new Map(scene.prompts.map(p => [p.promptId, { ...p }]));
+        this.fitGrid(this.prompts.size);
+        this.activeSceneId = sceneId;
+        this.dispatchEvent(new CustomEvent('prompts-changed', { detail: this.prompts }));
+        this.dispatchEvent(new CustomEvent('scene-recalled', { detail: { sceneId, index: this.scenes.indexOf(scene) } }));
+    }
+
+    toggleShowConfig() {
+        this.showConfig = !this.showConfig;
+    }
+
     /** Generates radial gradients for each prompt based on weight and color. */
     makeBackground = throttle(() => {
         const clamp01 = (v) => Math.min(Math.max(v, 0), 1);
@@ -141,14 +861,128 @@ export class PromptDjMidi extends LitElement {
                 .toString(16)
                 .padStart(2, '0');
             const stop = p.weight / 2;
-            const x = (i % 4) / 3;
-            const y = Math.floor(i / 4) / 3;
+            // A single column or row sits in the middle.
+            const x = this.gridColumns > 1 ? (i % this.gridColumns) / (this.gridColumns - 1) : 0.5;
+            const y = this.gridRows > 1 ? Math.floor(i / this.gridColumns) / (this.gridRows - 1) : 0.5;
             const s = `radial-gradient(circle at ${x * 100}% ${y * 100}%, ${p.color}${alpha} 0px, ${p.color}00 ${stop * 100}%)`;
             bg.push(s);
         });
         return bg.join(', ');
     }, 30);
 
+    /** Adds rows, then columns, until the grid has room for `count` prompts. */
+    fitGrid(count) {
+        while (this.gridColumns * this.gridRows < count && this.gridRows < MAX_GRID_SIZE) this.gridRows++;
+        while (this.gridColumns * this.gridRows < count && this.gridColumns < MAX_GRID_SIZE) this.gridColumns++;
+    }
+
+    handleGridSizeChange(e, key) {
+        const size = { columns: this.gridColumns, rows: this.gridRows, [key]: Number(e.target.value) };
+        if (size.columns * size.rows < this.prompts.size) {
+            e.target.value = String(key === 'columns' ? this.gridColumns : this.gridRows);
+            this.dispatchEvent(new CustomEvent('error', { detail: `A ${size.columns}x${size.rows} grid is too small for ${this.prompts.size} prompts. Remove some first.` }));
+            return;
+        }
+        this.gridColumns = size.columns;
+        this.gridRows = size.rows;
+    }
+
+    toggleEditGrid() {
+        this.editGrid = !this.editGrid;
+    }
+
+    /**
+     * CCs handed out by grid position to prompts that haven't learned one,
+     * skipping the CCs of the config and effect knobs.
+     */
+    getAutoCcs(count) {
+        const reserved = new Set([...Object.values(this.configMidi), ...Object.values(this.effectsMidi)]
+            .filter(c => c.cc != null && c.channel == null && c.deviceId == null)
+            .map(c => c.cc));
+        const ccs = [];
+        for (let cc = 0; cc < 128 && ccs.length < count; cc++) {
+            if (!reserved.has(cc)) ccs.push(cc);
+        }
+        return ccs;
+    }
+
+    /**
+     * Puts the prompts in a new order. Prompts still on the automatic CC of
+     * their position take the automatic CC of their new one, so the first
+     * fader keeps driving the first cell.
+     */
+    setPromptOrder(prompts) {
+        const before = [...this.prompts.values()];
+        const autoCcs = this.getAutoCcs(Math.max(before.length, prompts.length));
+        const onAutoCc = new Set(before
+            .filter((p, i) => p.cc === autoCcs[i] && p.channel == null && p.deviceId == null)
+            .map(p => p.promptId));
+        prompts.forEach((prompt, i) => {
+            if (onAutoCc.has(prompt.promptId)) prompt.cc = autoCcs[i];
+        });
+        this.cancelMorph();
+        this.releaseSolos();
+        this.prompts = new Map(prompts.map(p => [p.promptId, p]));
+        this.dispatchEvent(new CustomEvent('prompts-changed', { detail: this.prompts }));
+    }
+
+    addPrompt() {
+        const prompts = [...this.prompts.values()];
+        if (prompts.length >= this.gridColumns * this.gridRows) return;
+        let n = prompts.length;
+        while (this.prompts.has(`prompt-${n}`)) n++;
+        const usedCcs = new Set(prompts.map(p => p.cc));
+        const autoCcs = this.getAutoCcs(128);
+        const preferred = autoCcs[prompts.length];
+        const cc = usedCcs.has(preferred) ? autoCcs.find(c => !usedCcs.has(c)) : preferred;
+        this.recordHistory('Add prompt');
+        prompts.push({
+            promptId: `prompt-${n}`,
+            text: 'New prompt',
+            weight: 0,
+            cc: cc ?? 0,
+            color: NEW_PROMPT_COLORS[prompts.length % NEW_PROMPT_COLORS.length],
+        });
+        this.setPromptOrder(prompts);
+    }
+
+    removePrompt(promptId) {
+        if (this.prompts.size <= 1) return;
+        this.recordHistory(`Remove "${this.prompts.get(promptId).text}"`);
+        this.automation.clear(promptId);
+        this.setPromptOrder([...this.prompts.values()].filter(p => p.promptId !== promptId));
+    }
+
+    movePrompt(from, to) {
+        const prompts = [...this.prompts.values()];
+        const [moved] = prompts.splice(from, 1);
+        prompts.splice(to, 0, moved);
+        this.recordHistory(`Move "${moved.text}"`);
+        this.setPromptOrder(prompts);
+    }
+
+    handleCellDragStart(e, index) {
+        this.dragIndex = index;
+        e.dataTransfer.effectAllowed = 'move';
+    }
+
+    handleCellDragOver(e, index) {
+        if (this.dragIndex === null) return;
+        e.preventDefault();
+        this.dropIndex = index;
+    }
+
+    handleCellDrop(e, index) {
+        e.preventDefault();
+        if (this.dragIndex !== null && this.dragIndex !== index) this.movePrompt(this.dragIndex, index);
+        this.handleCellDragEnd();
+    }
+
+    handleCellDragEnd() {
+        this.dragIndex = null;
+        this.dropIndex = null;
+    }
+
     toggleShowMidi() {
         return this.setShowMidi(!this.showMidi);
     }
@@ -160,18 +994,42 @@ export class PromptDjMidi extends LitElement {
             const inputIds = await this.midiDispatcher.getMidiAccess();
             this.midiInputIds = inputIds;
             this.activeMidiInputId = this.midiDispatcher.activeMidiInputId;
+            this.sendMidiFeedback(true);
         }
         catch (e) {
+            // Gamepads can still be learned without MIDI, e.g. in browsers without Web MIDI.
+            if (this.gamepadDispatcher.getGamepads().length > 0) {
+                this.dispatchEvent(new CustomEvent('info', { detail: e.message }));
+                return;
+            }
             this.showMidi = false;
             this.dispatchEvent(new CustomEvent('error', { detail: e.message }));
         }
     }
 
+    handleMidiInputsChanged({ inputIds, activeMidiInputId }) {
+        const previousId = this.activeMidiInputId;
+        this.midiInputIds = inputIds;
+        this.activeMidiInputId = activeMidiInputId;
+        if (previousId && !inputIds.includes(previousId)) {
+            const next = activeMidiInputId ? `, switched to ${this.midiDispatcher.getDeviceName(activeMidiInputId)}` : '';
+            this.dispatchEvent(new CustomEvent('info', { detail: `MIDI device disconnected${next}.` }));
+        }
+        this.sendMidiFeedback(true);
+    }
+
     handleMidiInputChange(event) {
         const selectElement = event.target;
         const newMidiId = selectElement.value;
         this.activeMidiInputId = newMidiId;
         this.midiDispatcher.activeMidiInputId = newMidiId;
+        this.sendMidiFeedback(true);
+    }
+
+    handleClockModeChange(e) {
+        this.clockMode = e.target.value;
+        this.midiClock.setMode(this.clockMode);
+        this.midiClock.setMasterRunning(this.playbackState === 'playing');
     }
 
     playPause() {
@@ -182,9 +1040,110 @@ export class PromptDjMidi extends LitElement {
         this.filteredPrompts = new Set([...this.filteredPrompts, prompt]);
     }
 
+    getSetDocument() {
+        return createSetDocument({
+            layout: { columns: this.gridColumns, rows: this.gridRows },
+            prompts: this.prompts.values(),
+            scenes: this.scenes,
+            config: this.config,
+            configMidi: this.configMidi,
+            keyBindings: this.keyBindings,
+            effects: this.effects,
+            effectsMidi: this.effectsMidi,
+        });
+    }
+
+    /** Replaces the grid, scenes and mappings with a validated set document, and forgets the undo history. */
+    applySetDocument(doc) {
+        this.history.clear();
+        this.cancelMorph();
+        this.releaseSolos();
+        this.prompts = new Map(doc.prompts.map(p => [p.promptId, { ...p }]));
+        if (doc.layout) {
+            this.gridColumns = doc.layout.columns;
+            this.gridRows = doc.layout.rows;
+        }
+        this.fitGrid(this.prompts.size);
+        this.scenes = doc.scenes;
+        this.activeSceneId = null;
+        this.configMidi = { ...this.configMidi, ...doc.configMidi };
+        this.effectsMidi = { ...this.effectsMidi, ...doc.effectsMidi };
+        if (doc.keyBindings) {
+            this.keyBindings = sanitizeKeyBindings(doc.keyBindings);
+        }
+        this.dispatchEvent(new CustomEvent('prompts-changed', { detail: this.prompts }));
+    }
+
+    getSessionDocument() {
+        return { ...this.getSetDocument(), midi: { enabled: this.showMidi, inputId: this.activeMidiInputId } };
+    }
+
+    /** Restores the session saved before the last reload, if any. */
+    restoreSession() {
+        try {
+            const session = this.sessionStore.load();
+            if (session) this.applySession(session);
+        }
+        catch (e) {
+            this.dispatchEvent(new CustomEvent('info', { detail: `The saved session could not be restored: ${e.message}` }));
+        }
+        this.autosave = true;
+    }
+
+    applySession(session) {
+        this.applySetDocument(session);
+        if (session.config) this.updateConfig(session.config);
+        if (session.effects) this.updateEffects(session.effects);
+        if (session.midi?.enabled) {
+            this.midiDispatcher.activeMidiInputId = session.midi.inputId;
+            this.setShowMidi(true);
+        }
+    }
+
+    /** Goes back to the prompts the page started with and forgets the autosaved session. */
+    startFresh() {
+        this.sessionStore.clear();
+        this.applySetDocument({
+            layout: { columns: 4, rows: 4 },
+            prompts: this.freshPrompts,
+            scenes: [],
+            configMidi: defaultConfigMidi(),
+            effectsMidi: defaultEffectsMidi(),
+            keyBindings: DEFAULT_KEY_BINDINGS,
+        });
+        this.updateConfig({ ...DEFAULT_CONFIG });
+        this.updateEffects({ ...DEFAULT_EFFECTS });
+        this.autosave = true;
+    }
+
+    saveSessionSnapshot(e) {
+        const { name } = e.detail;
+        if (!this.sessionStore.saveSnapshot(name, this.getSessionDocument())) return;
+        this.sessionSnapshots = this.sessionStore.listSnapshots();
+        this.dispatchEvent(new CustomEvent('info', { detail: `Saved snapshot "${name}".` }));
+    }
+
+    loadSessionSnapshot(e) {
+        const { name } = e.detail;
+        try {
+            this.applySession(this.sessionStore.loadSnapshot(name));
+        }
+        catch (err) {
+            this.dispatchEvent(new CustomEvent('error', { detail: `Error loading snapshot: ${err.message}` }));
+        }
+    }
+
+    deleteSessionSnapshot(e) {
+        this.sessionStore.deleteSnapshot(e.detail.name);
+        this.sessionSnapshots = this.sessionStore.listSnapshots();
+    }
+
+    toggleShowSession() {
+        this.showSession = !this.showSession;
+    }
+
     handleSaveSet() {
-        const promptsArray = Array.from(this.prompts.values());
-        const dataStr = JSON.stringify(promptsArray, null, 2);
+        const dataStr = JSON.stringify(this.getSetDocument(), null, 2);
         const blob = new Blob([dataStr], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
@@ -194,7 +1153,8 @@ export class PromptDjMidi extends LitElement {
         URL.revokeObjectURL(url);
     }
 
-    handleLoadSet(event) {
+    /** Loads a set file, replacing the current set or, with `merge`, adding to it. */
+    handleLoadSet(event, merge = false) {
         const input = event.target;
         if (!input.files || input.files.length === 0) {
             return;
@@ -207,15 +1167,16 @@ export class PromptDjMidi extends LitElement {
                 if (typeof content !== 'string') {
                     throw new Error('Invalid file content.');
                 }
-                const loadedPrompts = JSON.parse(content);
-                if (!Array.isArray(loadedPrompts) || loadedPrompts.some(p => !p.promptId || !p.text)) {
-                    throw new Error('Invalid set file format.');
+                const loaded = parseSetDocument(JSON.parse(content));
+                if (merge) {
+                    this.applySetDocument(mergeSetDocuments(this.getSetDocument(), loaded));
+                }
+                else {
+                    this.applySetDocument(loaded);
+                    if (loaded.config) this.updateConfig(loaded.config);
+                    if (loaded.effects) this.updateEffects(loaded.effects);
                 }
-                const newPrompts = new Map();
-                loadedPrompts.forEach(p => newPrompts.set(p.promptId, p));
-                this.prompts = newPrompts;
-                this.dispatchEvent(new CustomEvent('prompts-changed', { detail: this.prompts }));
-                this.dispatchEvent(new CustomEvent('info', { detail: 'Set loaded successfully!' }));
+                this.dispatchEvent(new CustomEvent('info', { detail: merge ? 'Set merged successfully!' : 'Set loaded successfully!' }));
             }
             catch (err) {
                 this.dispatchEvent(new CustomEvent('error', { detail: `Error loading set: ${err.message}` }));
@@ -240,20 +1201,25 @@ export class PromptDjMidi extends LitElement {
                 this.dispatchEvent(new CustomEvent('error', { detail: 'Please start playback before recording.' }));
                 return;
             }
-            this.dispatchEvent(new CustomEvent('start-recording'));
+            this.dispatchEvent(new CustomEvent('start-recording', { detail: { format: this.recordingFormat } }));
             this.isRecording = true;
         }
     }
 
-    downloadRecording(blob) {
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `PromptDJ_Recording_${new Date().toISOString()}.mp3`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+    /**
+     * Saves a recording with its cue sheet as JSON. Formats that can't carry
+     * markers themselves also get an Audacity label track for the DAW.
+     */
+    downloadRecording(blob, cueSheet) {
+        const name = `PromptDJ_Recording_${new Date().toISOString()}`;
+        const file = `${name}.${extensionForMimeType(blob.type)}`;
+        downloadBlob(blob, file);
+        if (cueSheet) {
+            downloadBlob(new Blob([JSON.stringify(cueSheet.toDocument(file), null, 2)], { type: 'application/json' }), `${name}.cues.json`);
+            if (blob.type !== 'audio/wav') {
+                downloadBlob(new Blob([cueSheet.toLabelTrack()], { type: 'text/plain' }), `${name}.labels.txt`);
+            }
+        }
         this.dispatchEvent(new CustomEvent('info', { detail: 'Recording saved!' }));
     }
 
@@ -266,6 +1232,8 @@ export class PromptDjMidi extends LitElement {
         <button @click=${this.handleSaveSet}>Save Set</button>
         <label for="load-set-input" class="button-like">Load Set</label>
         <input id="load-set-input" type="file" @change=${this.handleLoadSet} accept=".json,application/json" />
+        <label for="merge-set-input" class="button-like" title="Add a set's prompts and scenes to this one">Merge Set</label>
+        <input id="merge-set-input" type="file" @change=${(e) => this.handleLoadSet(e, true)} accept=".json,application/json" />
         <button
           @click=${this.toggleShowMidi}
           class=${this.showMidi ? 'active' : ''}
@@ -281,29 +1249,301 @@ export class PromptDjMidi extends LitElement {
                   </option>`)
             : html`<option value="">No devices found</option>`}
         </select>
+        <select
+          @change=${this.handleClockModeChange}
+          .value=${this.clockMode}
+          style=${this.showMidi ? '' : 'visibility: hidden'}>
+          ${CLOCK_MODES.map(({ value, label }) => html`<option value=${value}>${label}</option>`)}
+        </select>
+        <button
+          @click=${this.toggleShowConfig}
+          class=${this.showConfig ? 'active' : ''}
+          >Config</button
+        >
+        <button
+          @click=${this.toggleShowEffects}
+          class=${this.showEffects ? 'active' : ''}
+          >FX</button
+        >
+        <button
+          @click=${this.toggleShowKeys}
+          class=${this.showKeys ? 'active' : ''}
+          >Keys</button
+        >
+        <button
+          @click=${this.toggleEditGrid}
+          class=${this.editGrid ? 'active' : ''}
+          >Grid</button
+        >
+        ${this.editGrid ? this.renderGridSize() : ''}
+        <button
+          @click=${this.toggleShowMeters}
+          class=${this.showMeters ? 'active' : ''}
+          >Meters</button
+        >
+        <button
+          @click=${this.toggleShowHistory}
+          class=${this.showHistory ? 'active' : ''}
+          >History</button
+        >
+        <button
+          @click=${this.toggleShowLooper}
+          class=${this.showLooper ? 'active' : ''}
+          >Loops</button
+        >
+        <button
+          @click=${this.toggleShowSession}
+          class=${this.showSession ? 'active' : ''}
+          >Session</button
+        >
          <button @click=${this.handleRecordClick} class=${this.isRecording ? 'recording' : ''}>
           ${this.isRecording ? 'Stop' : 'Record'}
         </button>
+        <select
+          @change=${this.handleRecordingFormatChange}
+          .value=${this.recordingFormat}
+          ?disabled=${this.isRecording}>
+          ${RECORDING_FORMATS.map(({ value, label }) => html`<option value=${value}>${label}</option>`)}
+        </select>
+        ${this.connectionStatus ? html`<span id="connection-status">${this.connectionStatus}</span>` : ''}
+        ${this.renderBufferStats()}
+      </div>
+      <div id="knobs">
+        ${this.renderConfig()}
+        ${this.renderEffects()}
       </div>
-      <div id="grid">${this.renderPrompts()}</div>
+      <div id="panels">
+        ${this.showMeters ? html`<meter-panel
+            .analysis=${this.analysis}
+            .spectrum=${this.spectrum}
+            .binWidth=${this.spectrumBinWidth}></meter-panel>` : ''}
+        ${this.showHistory ? html`<history-panel
+            .undoLabels=${this.historyLabels.undo}
+            .redoLabels=${this.historyLabels.redo}
+            @history-undo=${(e) => this.undo(e.detail.steps)}
+            @history-redo=${(e) => this.redo(e.detail.steps)}></history-panel>` : ''}
+        ${this.showLooper ? html`<looper-panel
+            .slots=${this.loopSlots}
+            @loop-action=${this.handleLoopAction}></looper-panel>` : ''}
+        ${this.showSession ? html`<session-panel
+            .snapshots=${this.sessionSnapshots}
+            @session-save=${this.saveSessionSnapshot}
+            @session-load=${this.loadSessionSnapshot}
+            @session-delete=${this.deleteSessionSnapshot}
+            @start-fresh=${this.startFresh}></session-panel>` : ''}
+        ${this.showKeys ? html`<keyboard-overlay
+            .bindings=${this.keyBindings}
+            .promptLabels=${[...this.prompts.values()].map(p => p.text)}
+            @bindings-changed=${this.handleKeyBindingsChanged}></keyboard-overlay>` : ''}
+      </div>
+      <div id="grid" style=${this.getGridStyle()}>${this.renderPrompts()}</div>
+      <div id="performance">
+        <automation-panel
+          .state=${this.automationState}
+          .progress=${this.automationProgress}
+          .lanes=${this.getAutomationLanes()}
+          .loop=${this.automationLoop}
+          .tempoRelative=${this.automationTempoRelative}
+          @automation-record=${() => this.automation.startRecording()}
+          @automation-play=${() => this.automation.play()}
+          @automation-stop=${() => (this.automationState === 'recording' ? this.automation.stopRecording() : this.automation.stop())}
+          @automation-clear=${(e) => this.automation.clear(e.detail.promptId)}
+          @automation-options=${this.handleAutomationOptions}></automation-panel>
+        <morph-panel
+          .snapshots=${this.snapshots}
+          .targetId=${this.morphTargetId}
+          .progress=${this.morphProgress}
+          @snapshot-capture=${this.captureSnapshot}
+          @snapshot-delete=${this.deleteSnapshot}
+          @morph-start=${this.startMorph}
+          @morph-cancel=${this.cancelMorph}></morph-panel>
+      </div>
+      <scene-bank
+        id="scenes"
+        .scenes=${this.scenes}
+        .activeSceneId=${this.activeSceneId}
+        .showMidi=${this.showMidi}
+        @scene-add=${this.addScene}
+        @scene-recall=${(e) => this.recallScene(e.detail.sceneId)}
+        @scene-overwrite=${this.overwriteScene}
+        @scene-delete=${this.deleteScene}></scene-bank>
       <play-pause-button .playbackState=${this.playbackState} @click=${this.playPause}></play-pause-button>`;
     }
 
+    handleRecordingFormatChange(e) {
+        this.recordingFormat = e.target.value;
+    }
+
+    renderBufferStats() {
+        if (!this.bufferStats || this.playbackState === 'stopped') return '';
+        const { depth, targetLatency, underruns } = this.bufferStats;
+        return html`<span id="buffer-stats">
+          buffer ${depth.toFixed(1)}s / ${targetLatency.toFixed(1)}s · ${underruns} underruns
+        </span>`;
+    }
+
+    /** Always rendered, so the knobs keep answering MIDI while the panel is hidden. */
+    renderConfig() {
+        return html`<div id="config" ?hidden=${!this.showConfig}>
+        ${Object.entries(CONFIG_PARAMS).map(([key, param]) => html`<param-controller
+            .paramId=${key}
+            .label=${param.label}
+            .value=${this.config[key]}
+            .defaultValue=${DEFAULT_CONFIG[key]}
+            .min=${param.min}
+            .max=${param.max}
+            .step=${param.step}
+            .cc=${this.configMidi[key].cc}
+            .channel=${this.configMidi[key].channel ?? null}
+            .deviceId=${this.configMidi[key].deviceId ?? null}
+            .mapping=${this.configMidi[key].mapping}
+            .midiDispatcher=${this.midiDispatcher}
+            .showCC=${this.showMidi}
+            @param-changed=${this.handleParamChanged}>
+          </param-controller>`)}
+        <label>
+          Scale
+          <select @change=${this.handleScaleChange} .value=${this.config.scale}>
+            ${SCALES.map(({ value, label }) => html`<option value=${value}>${label}</option>`)}
+          </select>
+        </label>
+        <label>
+          Seed
+          <input
+            type="number"
+            min="0"
+            step="1"
+            placeholder="Random"
+            .value=${this.config.seed ?? ''}
+            @change=${this.handleSeedChange} />
+        </label>
+      </div>`;
+    }
+
+    /** One row of knobs per section of the master chain, always rendered like the config knobs. */
+    renderEffects() {
+        const sections = [...new Set(Object.values(EFFECT_PARAMS).map(param => param.section))];
+        return html`<div id="effects" ?hidden=${!this.showEffects}>
+        ${sections.map(section => html`<div class="effects-section">
+            <h3>${section}</h3>
+            ${Object.entries(EFFECT_PARAMS).filter(([, param]) => param.section === section).map(([key, param]) => html`<param-controller
+                .paramId=${key}
+                .label=${param.label}
+                .value=${this.effects[key]}
+                .defaultValue=${DEFAULT_EFFECTS[key]}
+                .min=${param.min}
+                .max=${param.max}
+                .step=${param.step}
+                .cc=${this.effectsMidi[key].cc}
+                .channel=${this.effectsMidi[key].channel ?? null}
+                .deviceId=${this.effectsMidi[key].deviceId ?? null}
+                .mapping=${this.effectsMidi[key].mapping}
+                .midiDispatcher=${this.midiDispatcher}
+                .showCC=${this.showMidi}
+                @param-changed=${this.handleEffectChanged}>
+              </param-controller>`)}
+          </div>`)}
+      </div>`;
+    }
+
+    /**
+     * Fits the grid in a square of `--grid-size` (80vmin unless set, e.g. to
+     * fit two decks side by side), keeping its cells square.
+     */
+    getGridStyle() {
+        const longest = Math.max(this.gridColumns, this.gridRows);
+        return styleMap({
+            gridTemplateColumns: `repeat(${this.gridColumns}, 1fr)`,
+            gridTemplateRows: `repeat(${this.gridRows}, 1fr)`,
+            width: `calc(var(--grid-size, 80vmin) * ${this.gridColumns / longest})`,
+            height: `calc(var(--grid-size, 80vmin) * ${this.gridRows / longest})`,
+        });
+    }
+
+    renderGridSize() {
+        const sizes = Array.from({ length: MAX_GRID_SIZE - MIN_GRID_SIZE + 1 }, (_, i) => MIN_GRID_SIZE + i);
+        return html`<span id="grid-size">
+          <select
+            title="Columns"
+            .value=${String(this.gridColumns)}
+            @change=${(e) => this.handleGridSizeChange(e, 'columns')}>
+            ${sizes.map(n => html`<option value=${n}>${n}</option>`)}
+          </select>
+          ×
+          <select
+            title="Rows"
+            .value=${String(this.gridRows)}
+            @change=${(e) => this.handleGridSizeChange(e, 'rows')}>
+            ${sizes.map(n => html`<option value=${n}>${n}</option>`)}
+          </select>
+        </span>`;
+    }
+
     renderPrompts() {
-        return [...this.prompts.values()].map((prompt) => {
-            return html`<prompt-controller
+        const cells = repeat([...this.prompts.values()], (prompt) => prompt.promptId, (prompt, i) => {
+            return html`<div class="cell"><prompt-controller
                 .promptId=${prompt.promptId}
                 ?filtered=${this.filteredPrompts.has(prompt.text)}
                 .cc=${prompt.cc}
+                .channel=${prompt.channel ?? null}
+                .deviceId=${prompt.deviceId ?? null}
+                .mapping=${prompt.mapping}
                 .text=${prompt.text}
                 .weight=${prompt.weight}
                 .color=${prompt.color}
                 .midiDispatcher=${this.midiDispatcher}
                 .showCC=${this.showMidi}
                 @prompt-changed=${this.handlePromptChanged}>
-            </prompt-controller>`;
+            </prompt-controller>
+            ${this.editGrid ? html`<div
+                class="cell-edit ${this.dropIndex === i ? 'drop-target' : ''}"
+                draggable="true"
+                title="Drag to move"
+                @dragstart=${(e) => this.handleCellDragStart(e, i)}
+                @dragover=${(e) => this.handleCellDragOver(e, i)}
+                @drop=${(e) => this.handleCellDrop(e, i)}
+                @dragend=${this.handleCellDragEnd}>
+                <button
+                  class="remove-prompt"
+                  title="Remove prompt"
+                  ?disabled=${this.prompts.size <= 1}
+                  @click=${() => this.removePrompt(prompt.promptId)}>×</button>
+              </div>` : ''}</div>`;
         });
+        const hasRoom = this.prompts.size < this.gridColumns * this.gridRows;
+        return html`${cells}${this.editGrid && hasRoom
+            ? html`<button class="add-prompt" title="Add prompt" @click=${this.addPrompt}>+</button>`
+            : ''}`;
     }
 }
 
+/**
+ * MIDI assignments of the config and effect knobs before any are learned:
+ * none, so a stray controller can't change the tempo or scale behind the
+ * user's back.
+ */
+function defaultConfigMidi() {
+    return Object.fromEntries(Object.keys(CONFIG_PARAMS).map(key => [key, { cc: null }]));
+}
+
+function defaultEffectsMidi() {
+    return Object.fromEntries(Object.keys(EFFECT_PARAMS).map(key => [key, { cc: null }]));
+}
+
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function isEditable(element) {
+    return element instanceof HTMLElement &&
+        (element.isContentEditable || ['INPUT', 'SELECT', 'TEXTAREA'].includes(element.tagName));
+}
+
 customElements.define('prompt-dj-midi', PromptDjMidi);
@@ -0,0 +1,112 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { css, html, LitElement } from 'lit';
+import { classMap } from 'lit/directives/class-map.js';
+import { styleMap } from 'lit/directives/style-map.js';
+
+/** Pads for recalling saved scenes. */
+export class SceneBank extends LitElement {
+    static styles = css`
+    :host {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 5px;
+      max-width: 40vw;
+      justify-content: flex-end;
+    }
+    .pad {
+      font: inherit;
+      font-weight: 600;
+      width: 6vmin;
+      height: 6vmin;
+      min-width: 40px;
+      min-height: 40px;
+      display: flex;
+      flex-direction: column;
+      align-items: center;
+      justify-content: center;
+      cursor: pointer;
+      color: #fff;
+      background: var(--scene-color, #0002);
+      border: 1.5px solid #fff;
+      border-radius: 6px;
+      user-select: none;
+      padding: 0;
+      position: relative;
+    }
+    .pad.active {
+      box-shadow: 0 0 0 2px #000, 0 0 0 4px #fff;
+    }
+    .pad .midi {
+      font-family: monospace;
+      font-size: 10px;
+      opacity: 0.8;
+    }
+    .pad .delete {
+      position: absolute;
+      top: -6px;
+      right: -6px;
+      width: 16px;
+      height: 16px;
+      border-radius: 50%;
+      border: none;
+      font-size: 10px;
+      line-height: 16px;
+      padding: 0;
+      cursor: pointer;
+      display: none;
+    }
+    .pad:hover .delete {
+      display: block;
+    }
+    .add {
+      border-style: dashed;
+      background: #0002;
+    }
+  `;
+
+    static properties = {
+        scenes: { type: Array },
+        activeSceneId: { type: String },
+        showMidi: { type: Boolean },
+    };
+
+    constructor() {
+        super();
+        this.scenes = [];
+        this.activeSceneId = null;
+        this.showMidi = false;
+    }
+
+    /** Click recalls a scene; shift-click overwrites it with the current state. */
+    handlePadClick(e, sceneId) {
+        const type = e.shiftKey ? 'scene-overwrite' : 'scene-recall';
+        this.dispatchEvent(new CustomEvent(type, { detail: { sceneId } }));
+    }
+
+    handleDelete(e, sceneId) {
+        e.stopPropagation();
+        this.dispatchEvent(new CustomEvent('scene-delete', { detail: { sceneId } }));
+    }
+
+    addScene() {
+        this.dispatchEvent(new CustomEvent('scene-add'));
+    }
+
+    render() {
+        return html`${this.scenes.map((scene, i) => html`<button
+          class=${classMap({ pad: true, active: scene.id === this.activeSceneId })}
+          style=${styleMap({ '--scene-color': `${scene.color}88` })}
+          title="Click to recall, shift-click to overwrite"
+          @click=${(e) => this.handlePadClick(e, scene.id)}>
+          ${i + 1}
+          ${this.showMidi ? html`<span class="midi">PC${i} N${scene.note}</span>` : ''}
+          <span class="delete" @click=${(e) => this.handleDelete(e, scene.id)}>✕</span>
+        </button>`)}
+      <button class="pad add" title="Save current state as a scene" @click=${this.addScene}>+</button>`;
+    }
+}
+
+customElements.define('scene-bank', SceneBank);
@@ -0,0 +1,116 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { css, html, LitElement } from 'lit';
+
+/**
+ * Named local snapshots of the whole session, and a way to start over.
+ * Dispatches `session-save`, `session-load` and `session-delete` with
+ * `{name}`, and `start-fresh`.
+ */
+export class SessionPanel extends LitElement {
+    static styles = css`
+    :host {
+      display: flex;
+      flex-direction: column;
+      gap: 4px;
+      padding: 6px;
+      background: #000d;
+      border: 1.5px solid #fff;
+      border-radius: 4px;
+      color: #fff;
+      font-size: 12px;
+      min-width: 14em;
+    }
+    .row {
+      display: flex;
+      align-items: center;
+      gap: 4px;
+    }
+    .name {
+      flex: 1;
+      cursor: pointer;
+      white-space: nowrap;
+      overflow: hidden;
+      text-overflow: ellipsis;
+    }
+    .name:hover {
+      text-decoration: underline;
+    }
+    .date {
+      color: #fff8;
+    }
+    .empty {
+      color: #fff8;
+    }
+    input, button {
+      font: inherit;
+    }
+    input {
+      flex: 1;
+      min-width: 0;
+    }
+    .remove {
+      cursor: pointer;
+      background: none;
+      border: none;
+      color: #fff8;
+    }
+  `;
+
+    static properties = {
+        snapshots: { type: Array },
+        name: { state: true },
+    };
+
+    constructor() {
+        super();
+        this.snapshots = [];
+        this.name = '';
+    }
+
+    save() {
+        const name = this.name.trim();
+        if (!name) return;
+        this.dispatchEvent(new CustomEvent('session-save', { detail: { name } }));
+        this.name = '';
+    }
+
+    handleKeyDown(e) {
+        if (e.key === 'Enter') this.save();
+    }
+
+    startFresh() {
+        if (!confirm('Start fresh? The current prompts, scenes and mappings are replaced; named snapshots are kept.')) return;
+        this.dispatchEvent(new CustomEvent('start-fresh'));
+    }
+
+    render() {
+        return html`
+      <div class="row">
+        <input
+          placeholder="Snapshot name"
+          .value=${this.name}
+          @input=${(e) => { this.name = e.target.value; }}
+          @keydown=${this.handleKeyDown} />
+        <button @click=${this.save} ?disabled=${!this.name.trim()}>Save</button>
+      </div>
+      ${this.snapshots.length === 0 ? html`<div class="empty">No snapshots yet.</div>` : ''}
+      ${this.snapshots.map(({ name, savedAt }) => html`<div class="row">
+          <span
+            class="name"
+            title="Load"
+            @click=${() => this.dispatchEvent(new CustomEvent('session-load', { detail: { name } }))}>${name}</span>
+          <span class="date">${new Date(savedAt).toLocaleString()}</span>
+          <button
+            class="remove"
+            title="Delete"
+            @click=${() => this.dispatchEvent(new CustomEvent('session-delete', { detail: { name } }))}>×</button>
+        </div>`)}
+      <button @click=${this.startFresh}>Start fresh</button>
+    `;
+    }
+}
+
+customElements.define('session-panel', SessionPanel);
@@ -2,29 +2,208 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
 */
-/** Simple class for getting the current audio level. */
+/** Upper edges, in Hz, of the low and mid bands; everything above is high. */
+const BAND_EDGES = { low: 250, mid: 4000 };
+/** Quietest level reported, in dBFS, instead of -Infinity for silence. */
+const MIN_DB = -100;
+/** A sample this close to full scale counts as clipped. */
+const CLIP_LEVEL = 0.999;
+/** How long, in ms, `clipping` stays true after a clipped sample. */
+const CLIP_HOLD = 1000;
+/** Onsets are looked for this often, in ms, whatever the event rate. */
+const ONSET_INTERVAL = 10;
+/** Flux frames averaged into the adaptive onset threshold. */
+const ONSET_HISTORY = 50;
+/** How far above the average flux an onset must be. */
+const ONSET_SENSITIVITY = 1.5;
+/** Shortest time, in seconds, between two onsets. */
+const MIN_ONSET_GAP = 0.1;
+/** Onsets older than this, in seconds, no longer count towards the tempo. */
+const TEMPO_WINDOW = 8;
+const MIN_BPM = 70;
+const MAX_BPM = 180;
+
+/**
+ * Measures the output: RMS and peak in dBFS, overall and per stereo
+ * channel, clipping, low/mid/high band levels, onsets and a tempo estimate.
+ * Connect the signal to `node`.
+ *
+ * While started, dispatches `analysis` with `{rms, peak, clipping, channels:
+ * [{rms, peak, clipping}], bands: {low, mid, high}, bpm, bpmConfidence}`
+ * and `audio-level-changed` with a 0-1 level `rate` times a second, and
+ * `onset` with `{time, strength}` as soon as one is found. `bpm` is null
+ * until there are enough onsets.
+ */
 export class AudioAnalyser extends EventTarget {
-    constructor(context) {
+    constructor(context, { rate = 30, fftSize = 2048 } = {}) {
         super();
-        this.rafId = null;
-        this.node = context.createAnalyser();
-        this.node.smoothingTimeConstant = 0;
-        this.freqData = new Uint8Array(this.node.frequencyBinCount);
-        this.loop = this.loop.bind(this);
+        this.context = context;
+        this.rate = rate;
+        this.node = context.createGain();
+        this.analyser = new AnalyserNode(context, { fftSize, smoothingTimeConstant: 0 });
+        this.node.connect(this.analyser);
+        const splitter = context.createChannelSplitter(2);
+        this.node.connect(splitter);
+        this.channelAnalysers = [0, 1].map((channel) => {
+            const analyser = new AnalyserNode(context, { fftSize, smoothingTimeConstant: 0 });
+            splitter.connect(analyser, channel);
+            return analyser;
+        });
+        this.freqData = new Uint8Array(this.analyser.frequencyBinCount);
+        this.spectrum = new Float32Array(this.analyser.frequencyBinCount);
+        this.waveform = new Float32Array(fftSize);
+        this.previousMagnitudes = new Float32Array(this.analyser.frequencyBinCount);
+        this.fluxHistory = [];
+        this.lastOnsetTime = -Infinity;
+        this.onsetTimes = [];
+        this.lastClipTimes = [-Infinity, -Infinity];
+        this.eventInterval = null;
+        this.onsetInterval = null;
     }
+
+    /** Average of the byte spectrum, 0-1. */
     getCurrentLevel() {
-        this.node.getByteFrequencyData(this.freqData);
+        this.analyser.getByteFrequencyData(this.freqData);
         const avg = this.freqData.reduce((a, b) => a + b, 0) / this.freqData.length;
         return avg / 0xff;
     }
-    loop() {
-        this.rafId = requestAnimationFrame(this.loop);
-        const level = this.getCurrentLevel();
-        this.dispatchEvent(new CustomEvent('audio-level-changed', { detail: level }));
+
+    /** A copy of the current spectrum, in dB per bin of `binWidth` Hz. */
+    getSpectrum() {
+        const spectrum = new Float32Array(this.analyser.frequencyBinCount);
+        this.analyser.getFloatFrequencyData(spectrum);
+        return spectrum;
+    }
+
+    get binWidth() {
+        return this.context.sampleRate / this.analyser.fftSize;
+    }
+
+    /** A copy of the last `fftSize` samples, -1 to 1. */
+    getWaveform() {
+        const waveform = new Float32Array(this.analyser.fftSize);
+        this.analyser.getFloatTimeDomainData(waveform);
+        return waveform;
+    }
+
+    /**
+     * `{rms, peak, clipping, channels}` of the current waveform, in dBFS.
+     * The overall values are the louder channel's.
+     */
+    getLevels() {
+        const channels = this.channelAnalysers.map((analyser, c) => {
+            analyser.getFloatTimeDomainData(this.waveform);
+            let sum = 0;
+            let peak = 0;
+            for (const sample of this.waveform) {
+                sum += sample * sample;
+                peak = Math.max(peak, Math.abs(sample));
+            }
+            if (peak >= CLIP_LEVEL) this.lastClipTimes[c] = performance.now();
+            return {
+                rms: toDb(Math.sqrt(sum / this.waveform.length)),
+                peak: toDb(peak),
+                clipping: performance.now() - this.lastClipTimes[c] < CLIP_HOLD,
+            };
+        });
+        return {
+            rms: Math.max(...channels.map(c => c.rms)),
+            peak: Math.max(...channels.map(c => c.peak)),
+            clipping: channels.some(c => c.clipping),
+            channels,
+        };
+    }
+
+    /** Mean power of each band, in dB. */
+    getBands() {
+        this.analyser.getFloatFrequencyData(this.spectrum);
+        const sums = { low: 0, mid: 0, high: 0 };
+        const counts = { low: 0, mid: 0, high: 0 };
+        this.spectrum.forEach((db, i) => {
+            const frequency = i * this.binWidth;
+            const band = frequency < BAND_EDGES.low ? 'low' : frequency < BAND_EDGES.mid ? 'mid' : 'high';
+            sums[band] += 10 ** (db / 10);
+            counts[band]++;
+        });
+        return Object.fromEntries(Object.keys(sums).map(band => [band, Math.max(MIN_DB, 10 * Math.log10(sums[band] / counts[band]))]));
+    }
+
+    /**
+     * The tempo that best explains the gaps between recent onsets, folded
+     * into `MIN_BPM`-`MAX_BPM`, with the share of gaps that agree with it.
+     */
+    estimateTempo() {
+        const now = this.context.currentTime;
+        this.onsetTimes = this.onsetTimes.filter(t => now - t < TEMPO_WINDOW);
+        const votes = new Map();
+        let total = 0;
+        for (let i = 0; i < this.onsetTimes.length; i++) {
+            for (let j = i + 1; j < this.onsetTimes.length && j <= i + 4; j++) {
+                let bpm = 60 / (this.onsetTimes[j] - this.onsetTimes[i]);
+                while (bpm < MIN_BPM) bpm *= 2;
+                while (bpm > MAX_BPM) bpm /= 2;
+                const key = Math.round(bpm);
+                // Neighbouring tempos share a vote, so slight timing jitter still agrees.
+                for (const k of [key - 1, key, key + 1]) votes.set(k, (votes.get(k) ?? 0) + (k === key ? 1 : 0.5));
+                total++;
+            }
+        }
+        if (total < 4) return { bpm: null, bpmConfidence: 0 };
+        const [bpm, score] = [...votes].reduce((best, vote) => (vote[1] > best[1] ? vote : best));
+        return { bpm, bpmConfidence: Math.min(1, score / total) };
     }
-    start = this.loop;
+
+    /** Spectral flux onset detection against an adaptive threshold. */
+    detectOnset() {
+        this.analyser.getFloatFrequencyData(this.spectrum);
+        let flux = 0;
+        this.spectrum.forEach((db, i) => {
+            const magnitude = 10 ** (db / 20);
+            flux += Math.max(0, magnitude - this.previousMagnitudes[i]);
+            this.previousMagnitudes[i] = magnitude;
+        });
+        const average = this.fluxHistory.reduce((a, b) => a + b, 0) / (this.fluxHistory.length || 1);
+        this.fluxHistory.push(flux);
+        if (this.fluxHistory.length > ONSET_HISTORY) this.fluxHistory.shift();
+        const time = this.context.currentTime;
+        if (this.fluxHistory.length < ONSET_HISTORY || flux <= average * ONSET_SENSITIVITY || time - this.lastOnsetTime < MIN_ONSET_GAP) return;
+        this.lastOnsetTime = time;
+        this.onsetTimes.push(time);
+        this.dispatchEvent(new CustomEvent('onset', { detail: { time, strength: flux / (average || 1) } }));
+    }
+
+    dispatchAnalysis() {
+        this.dispatchEvent(new CustomEvent('audio-level-changed', { detail: this.getCurrentLevel() }));
+        this.dispatchEvent(new CustomEvent('analysis', {
+            detail: { ...this.getLevels(), bands: this.getBands(), ...this.estimateTempo() },
+        }));
+    }
+
+    /** Events per second while started. */
+    setRate(rate) {
+        this.rate = rate;
+        if (this.eventInterval) {
+            this.stop();
+            this.start();
+        }
+    }
+
+    start() {
+        if (this.eventInterval) return;
+        this.eventInterval = setInterval(() => this.dispatchAnalysis(), 1000 / this.rate);
+        this.onsetInterval = setInterval(() => this.detectOnset(), ONSET_INTERVAL);
+    }
+
     stop() {
-        if (this.rafId)
-            cancelAnimationFrame(this.rafId);
+        clearInterval(this.eventInterval);
+        clearInterval(this.onsetInterval);
+        this.eventInterval = null;
+        this.onsetInterval = null;
+        this.fluxHistory = [];
+        this.previousMagnitudes.fill(0);
     }
 }
+
+function toDb(amplitude) {
+    return amplitude > 0 ? Math.max(MIN_DB, 20 * Math.log10(amplitude)) : MIN_DB;
+}
@@ -0,0 +1,187 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+/**
+ * Records prompt moves as one automation lane per prompt and plays them
+ * back, once or looped, one `automation-frame` event per animation frame
+ * with `{changes: [{promptId, weight, text}]}`.
+ *
+ * The first recording sets the length. Recording again while there is
+ * something recorded overdubs: a prompt's lane is replaced from the moment
+ * it is touched until recording stops, and the other lanes keep playing.
+ * Times are kept in seconds at the tempo of the first recording, so
+ * tempo-relative playback speeds up and slows down with the BPM.
+ *
+ * Also dispatches `state-changed` with `{state, lanes}` and `position` with
+ * `{position, length}`.
+ */
+export class AutomationRecorder extends EventTarget {
+    constructor() {
+        super();
+        // `[{time, weight, text}]` per prompt id, sorted by time.
+        this.lanes = new Map();
+        this.length = 0;
+        this.recordedBpm = 120;
+        this.bpm = 120;
+        this.looping = true;
+        this.tempoRelative = true;
+        this.recording = false;
+        this.playing = false;
+        this.position = 0;
+        this.lastTickTime = 0;
+        // Whether the next tick plays from the very beginning.
+        this.atStart = false;
+        // Lanes touched during the current overdub, which are being replaced.
+        this.overdubbed = new Set();
+        this.rafId = null;
+        this.tick = this.tick.bind(this);
+    }
+
+    get state() {
+        if (this.recording) return 'recording';
+        return this.playing ? 'playing' : 'stopped';
+    }
+
+    setTempo(bpm) {
+        this.bpm = bpm;
+    }
+
+    startRecording() {
+        if (this.recording) return;
+        this.recording = true;
+        this.overdubbed.clear();
+        if (this.length === 0) {
+            this.lanes.clear();
+            this.recordedBpm = this.bpm;
+            this.position = 0;
+        }
+        this.startTransport();
+    }
+
+    stopRecording() {
+        if (!this.recording) return;
+        this.recording = false;
+        this.overdubbed.clear();
+        if (this.length === 0) {
+            // The end of the first take sets the loop, which starts over right away.
+            this.length = this.lanes.size > 0 ? this.position : 0;
+            this.position = 0;
+            this.atStart = true;
+            if (!this.looping || this.length === 0) this.stopTransport();
+        }
+        this.dispatchStateChanged();
+    }
+
+    play() {
+        if (this.length === 0 || this.playing) return;
+        this.atStart = this.position === 0;
+        this.startTransport();
+    }
+
+    stop() {
+        this.stopRecording();
+        this.stopTransport();
+        this.position = 0;
+        this.dispatchPosition();
+    }
+
+    /** Removes one prompt's lane, or everything if no id is given. */
+    clear(promptId) {
+        if (promptId !== undefined) {
+            this.lanes.delete(promptId);
+            this.overdubbed.delete(promptId);
+        }
+        else {
+            this.stop();
+            this.lanes.clear();
+            this.length = 0;
+        }
+        this.dispatchStateChanged();
+    }
+
+    /** Records a prompt change, if recording. */
+    capture(promptId, { weight, text }) {
+        if (!this.recording) return;
+        if (this.length > 0) this.overdubbed.add(promptId);
+        const lane = this.lanes.get(promptId) ?? [];
+        const index = lane.findIndex(e => e.time > this.position);
+        lane.splice(index === -1 ? lane.length : index, 0, { time: this.position, weight, text });
+        const isNewLane = !this.lanes.has(promptId);
+        this.lanes.set(promptId, lane);
+        if (isNewLane) this.dispatchStateChanged();
+    }
+
+    startTransport() {
+        if (!this.playing) {
+            this.playing = true;
+            this.lastTickTime = performance.now();
+            this.rafId = requestAnimationFrame(this.tick);
+        }
+        this.dispatchStateChanged();
+    }
+
+    stopTransport() {
+        if (this.rafId) cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+        this.playing = false;
+        this.dispatchStateChanged();
+    }
+
+    tick() {
+        const now = performance.now();
+        const rate = this.tempoRelative ? this.bpm / this.recordedBpm : 1;
+        let to = this.position + ((now - this.lastTickTime) / 1000) * rate;
+        // Starting from the top includes events at exactly 0.
+        const from = this.atStart ? -1 : this.position;
+        this.atStart = false;
+        this.lastTickTime = now;
+        const changes = [];
+        if (this.length === 0 || to < this.length) {
+            this.collect(from, to, changes);
+        }
+        else {
+            this.collect(from, this.length, changes);
+            if (!this.looping) {
+                this.dispatchFrame(changes);
+                this.stop();
+                return;
+            }
+            to %= this.length;
+            this.collect(-1, to, changes);
+        }
+        this.position = to;
+        this.dispatchFrame(changes);
+        this.dispatchPosition();
+        this.rafId = requestAnimationFrame(this.tick);
+    }
+
+    /** Gathers the last event of each lane in `(from, to]`, and drops those of lanes being overdubbed. */
+    collect(from, to, changes) {
+        for (const [promptId, lane] of this.lanes) {
+            if (this.overdubbed.has(promptId)) {
+                this.lanes.set(promptId, lane.filter(e => e.time <= from || e.time > to));
+                continue;
+            }
+            const due = lane.filter(e => e.time > from && e.time <= to);
+            if (due.length === 0) continue;
+            const { weight, text } = due[due.length - 1];
+            const existing = changes.findIndex(c => c.promptId === promptId);
+            if (existing !== -1) changes.splice(existing, 1);
+            changes.push({ promptId, weight, text });
+        }
+    }
+
+    dispatchFrame(changes) {
+        if (changes.length === 0) return;
+        this.dispatchEvent(new CustomEvent('automation-frame', { detail: { changes } }));
+    }
+
+    dispatchPosition() {
+        this.dispatchEvent(new CustomEvent('position', { detail: { position: this.position, length: this.length } }));
+    }
+
+    dispatchStateChanged() {
+        this.dispatchEvent(new CustomEvent('state-changed', { detail: { state: this.state, lanes: [...this.lanes.keys()] } }));
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+export const CROSSFADER_CURVES = [
+    { value: 'equal-power', label: 'Smooth' },
+    { value: 'linear', label: 'Linear' },
+    { value: 'cut', label: 'Cut' },
+];
+
+/** Share of the travel, at each end, over which the `cut` curve fades. */
+const CUT_WIDTH = 0.05;
+/** Time constant, in seconds, of gain changes, to avoid zipper noise. */
+const SMOOTHING = 0.01;
+
+/**
+ * Gains of decks A and B at `position`, 0 (all A) to 1 (all B).
+ * `equal-power` keeps the loudness steady through the middle, `linear`
+ * dips there, and `cut` keeps both decks at full volume except right at
+ * the ends, for scratch-style cuts.
+ */
+export function crossfaderGains(curve, position) {
+    const x = Math.max(0, Math.min(1, position));
+    switch (curve) {
+        case 'linear':
+            return [1 - x, x];
+        case 'cut':
+            return [Math.min(1, (1 - x) / CUT_WIDTH), Math.min(1, x / CUT_WIDTH)];
+        default:
+            return [Math.cos(x * Math.PI / 2), Math.sin(x * Math.PI / 2)];
+    }
+}
+
+/**
+ * Mixes two decks into `destination`: connect them to `inputs[0]` and
+ * `inputs[1]`.
+ */
+export class Crossfader {
+    constructor(context, destination) {
+        this.context = context;
+        this.position = 0.5;
+        this.curve = CROSSFADER_CURVES[0].value;
+        this.output = context.createGain();
+        this.output.connect(destination);
+        this.inputs = [0, 1].map(() => {
+            const input = context.createGain();
+            input.connect(this.output);
+            return input;
+        });
+        this.apply(true);
+    }
+
+    setPosition(position) {
+        this.position = Math.max(0, Math.min(1, position));
+        this.apply();
+    }
+
+    setCurve(curve) {
+        this.curve = curve;
+        this.apply();
+    }
+
+    apply(immediate = false) {
+        const now = this.context.currentTime;
+        crossfaderGains(this.curve, this.position).forEach((value, i) => {
+            if (immediate) this.inputs[i].gain.value = value;
+            else this.inputs[i].gain.setTargetAtTime(value, now, SMOOTHING);
+        });
+    }
+}
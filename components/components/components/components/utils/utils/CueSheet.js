@@ -0,0 +1,98 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+/** Version of the documents written by `CueSheet.toDocument`. */
+export const CUE_SHEET_VERSION = 1;
+
+/**
+ * Timeline of what was sent to the model during a recording, for finding
+ * sections later. Each cue is `{time, type, ...}` with `time` in seconds
+ * from the start of the recording and `type` one of:
+ *
+ * - `prompts`: `{prompts: [{text, weight}]}`, the active prompts.
+ * - `config`: `{changes}`, the generation config values that changed.
+ * - `filtered-prompt`: `{text, reason}`, a prompt the model refused.
+ *
+ * In two-deck mode, each cue also names the `deck` it came from.
+ */
+export class CueSheet {
+    constructor() {
+        this.cues = [];
+        // The last prompts added, by deck.
+        this.lastPrompts = new Map();
+        // Length of the recording in seconds, set when it stops.
+        this.duration = 0;
+    }
+
+    /** Adds the active prompts, unless they are the same as the last ones. */
+    addPrompts(time, prompts, deck = null) {
+        const active = prompts
+            .filter(p => p.weight > 0)
+            .map(({ text, weight }) => ({ text, weight: Math.round(weight * 100) / 100 }));
+        const key = JSON.stringify(active);
+        if (key === this.lastPrompts.get(deck)) return;
+        this.lastPrompts.set(deck, key);
+        this.add(time, 'prompts', { prompts: active }, deck);
+    }
+
+    addConfig(time, changes, deck = null) {
+        if (Object.keys(changes).length === 0) return;
+        this.add(time, 'config', { changes }, deck);
+    }
+
+    addFilteredPrompt(time, { text, filteredReason }, deck = null) {
+        this.add(time, 'filtered-prompt', { text, reason: filteredReason ?? '' }, deck);
+    }
+
+    add(time, type, data, deck = null) {
+        // Several changes in the same instant keep only the last of each type.
+        const last = this.cues[this.cues.length - 1];
+        if (last?.type === type && (last.deck ?? null) === deck && type !== 'filtered-prompt' && Math.abs(last.time - time) < 0.001) {
+            this.cues.pop();
+            if (type === 'config') data = { changes: { ...last.changes, ...data.changes } };
+        }
+        this.cues.push({ time: Math.round(time * 1000) / 1000, type, ...(deck === null ? {} : { deck }), ...data });
+    }
+
+    /** The JSON export, naming the recording it belongs to. */
+    toDocument(file) {
+        return {
+            version: CUE_SHEET_VERSION,
+            recording: { file, duration: Math.round(this.duration * 1000) / 1000, createdAt: new Date().toISOString() },
+            cues: this.cues,
+        };
+    }
+
+    /** `{time, label}` of each cue, as written to WAV cue chunks. */
+    toMarkers() {
+        return this.cues.map(cue => ({ time: cue.time, label: describeCue(cue) }));
+    }
+
+    /** An Audacity label track (`start<TAB>end<TAB>label` per line), which most DAWs can import. */
+    toLabelTrack() {
+        return this.toMarkers()
+            .map(({ time, label }) => `${time.toFixed(6)}\t${time.toFixed(6)}\t${label}\n`)
+            .join('');
+    }
+}
+
+/** A one-line label for a cue, e.g. `Bossa Nova 1.00 + Funk 0.50`, prefixed with its deck, if any. */
+export function describeCue(cue) {
+    return cue.deck ? `${cue.deck}: ${describeCueData(cue)}` : describeCueData(cue);
+}
+
+function describeCueData(cue) {
+    switch (cue.type) {
+        case 'prompts':
+            return cue.prompts.length > 0
+                ? cue.prompts.map(p => `${p.text} ${p.weight.toFixed(2)}`).join(' + ')
+                : '(no active prompts)';
+        case 'config':
+            return Object.entries(cue.changes).map(([key, value]) => `${key} ${value ?? 'auto'}`).join(', ');
+        case 'filtered-prompt':
+            return `Filtered: ${cue.text}${cue.reason ? ` (${cue.reason})` : ''}`;
+        default:
+            return cue.type;
+    }
+}
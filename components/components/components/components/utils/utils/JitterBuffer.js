@@ -0,0 +1,75 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+/** Latency bounds and adaptation rates. Times are in seconds. */
+const DEFAULT_OPTIONS = {
+    minLatency: 0.5,
+    maxLatency: 6,
+    initialLatency: 2,
+    // Number of recent chunks the jitter estimate looks back over.
+    window: 32,
+    // Headroom kept on top of the measured jitter.
+    margin: 0.2,
+    // Target latency is multiplied by this after each underrun.
+    growFactor: 1.5,
+    // Fraction of the surplus latency given back per chunk once the network calms down.
+    shrinkRate: 0.05,
+};
+
+/**
+ * Tracks how irregularly audio chunks arrive and derives how far ahead of
+ * the playhead they should be scheduled. Knows nothing about Web Audio;
+ * `LiveMusicHelper` does the scheduling.
+ */
+export class JitterBuffer {
+    constructor(options = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.targetLatency = this.clamp(this.options.initialLatency);
+        this.jitter = 0;
+        this.underruns = 0;
+        this.reset();
+    }
+
+    /** Forgets arrival history, e.g. when a new session starts streaming. */
+    reset() {
+        this.mediaTime = 0;
+        this.latenessHistory = [];
+    }
+
+    /**
+     * Records that a chunk of `duration` seconds arrived at `time` (audio
+     * clock seconds). Lateness is measured against where the chunk sits in
+     * the stream. Chunks arriving early (e.g. the initial burst) only lower
+     * the baseline; the jitter is the worst lateness seen above it.
+     */
+    recordArrival(time, duration) {
+        const { window, margin, shrinkRate } = this.options;
+        this.latenessHistory.push(time - this.mediaTime);
+        if (this.latenessHistory.length > window) this.latenessHistory.shift();
+        this.mediaTime += duration;
+        let baseline = Infinity;
+        this.jitter = 0;
+        for (const lateness of this.latenessHistory) {
+            baseline = Math.min(baseline, lateness);
+            this.jitter = Math.max(this.jitter, lateness - baseline);
+        }
+        const wanted = this.clamp(this.jitter + margin);
+        if (wanted > this.targetLatency) {
+            this.targetLatency = wanted;
+        }
+        else {
+            this.targetLatency += (wanted - this.targetLatency) * shrinkRate;
+        }
+    }
+
+    recordUnderrun() {
+        this.underruns++;
+        this.targetLatency = this.clamp(this.targetLatency * this.options.growFactor);
+    }
+
+    clamp(latency) {
+        const { minLatency, maxLatency } = this.options;
+        return Math.max(minLatency, Math.min(maxLatency, latency));
+    }
+}
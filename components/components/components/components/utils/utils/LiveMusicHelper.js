@@ -4,31 +4,110 @@
 */
 import { decode, decodeAudioData } from './audio.js';
 import { throttle } from './throttle.js';
+import { JitterBuffer } from './JitterBuffer.js';
+import { MasterBus } from './MasterBus.js';
+import { Looper } from './Looper.js';
+import { MasterEffects, validateEffects } from './MasterEffects.js';
+import { DEFAULT_CONFIG, RESET_CONTEXT_PARAMS, toMusicGenerationConfig, validateConfig } from './MusicConfig.js';
+
+/** Minimum time between two config updates sent to the session, in ms. */
+const CONFIG_SEND_INTERVAL = 200;
+
+/** How often and how patiently a dropped session is reopened. Delays in ms. */
+const DEFAULT_RECONNECT_POLICY = {
+    maxAttempts: 6,
+    baseDelay: 500,
+    maxDelay: 10000,
+};
+
+/** Seconds to fade the output back in after a reconnect. */
+const RECONNECT_FADE_TIME = 1;
+
+/**
+ * Seconds of audio faded out ahead of an underrun, and faded in again when
+ * the late chunk arrives, so gaps don't click.
+ */
+const UNDERRUN_FADE_TIME = 0.05;
+/** Buffer surplus, in seconds, tolerated before chunks are overlapped to cut latency. */
+const SHRINK_THRESHOLD = 0.25;
+/** Longest overlap, in seconds, used to trim latency on a single chunk. */
+const MAX_SHRINK_STEP = 0.03;
 
 export class LiveMusicHelper extends EventTarget {
-    constructor(ai, model) {
+    /**
+     * @param backend Anything shaped like `ai.live.music`: its
+     *     `connect({model, callbacks})` resolves to a session with
+     *     `setWeightedPrompts`, `setMusicGenerationConfig`, `resetContext`,
+     *     `play`, `pause` and `stop`, and reports `setupComplete`,
+     *     `filteredPrompt` and `serverContent.audioChunks` through
+     *     `callbacks.onmessage`. See `LocalMusicBackend` for an offline one.
+     * @param model The model name passed to `connect`.
+     * @param options `bus` is the `MasterBus` to play and record through,
+     *     `output` the node to connect to instead of its input, e.g. a
+     *     crossfader, and `name` labels this deck's cues. Without a bus, the
+     *     helper makes its own.
+     */
+    constructor(backend, model, { bus = null, output = null, name = null } = {}) {
         super();
-        this.ai = ai;
+        this.backend = backend;
         this.model = model;
         this.session = null;
         this.sessionPromise = null;
         this.connectionError = true;
+        this.connectionId = 0;
+        this.reconnectPolicy = { ...DEFAULT_RECONNECT_POLICY };
+        this.reconnectAttempt = 0;
+        this.reconnectTimeout = null;
+        this.resumeAfterReconnect = false;
         this.filteredPrompts = new Set();
         this.nextStartTime = 0;
-        this.bufferTime = 2;
-        this.extraDestination = null;
+        this.jitterBuffer = new JitterBuffer();
+        this.lastChunkGain = null;
+        this.concealTimeout = null;
         this.playbackState = 'stopped';
-        this.mediaRecorder = null;
-        this.recordedChunks = [];
+        this.name = name;
         
         this.prompts = new Map();
-        this.audioContext = new AudioContext({ sampleRate: 48000 });
+        this.config = { ...DEFAULT_CONFIG };
+        this.configTimeout = null;
+        this.contextResetPending = false;
+        this.bus = bus ?? new MasterBus(new AudioContext({ sampleRate: 48000 }));
+        this.audioContext = this.bus.context;
         this.outputNode = this.audioContext.createGain();
-        this.mediaStreamDestination = this.audioContext.createMediaStreamDestination();
+        this.effects = new MasterEffects(this.audioContext);
+        this.outputNode.connect(this.effects.input);
+        this.effects.output.connect(output ?? this.bus.input);
+        // Loops skip `outputNode`, so they carry on while the stream is paused or reconnecting.
+        this.looper = new Looper(this.audioContext);
+        this.looper.output.connect(this.effects.input);
+        this.bus.addSource(this);
+    }
+
+    get extraDestination() {
+        return this.bus.extraDestination;
+    }
+
+    set extraDestination(node) {
+        this.bus.extraDestination = node;
+    }
+
+    get isRecording() {
+        return this.bus.isRecording;
+    }
+
+    /** See `MasterBus.startRecording`. */
+    startRecording(format) {
+        this.bus.startRecording(format);
+    }
+
+    /** See `MasterBus.stopRecording`. */
+    stopRecording() {
+        return this.bus.stopRecording();
     }
     
     setWeightedPrompts = throttle(async (prompts) => {
         this.prompts = prompts;
+        this.bus.cueSheet?.addPrompts(this.bus.recordingPosition, this.activePrompts, this.name);
         if (this.activePrompts.length === 0) {
             this.dispatchEvent(new CustomEvent('error', { detail: 'There needs to be one active prompt to play.' }));
             this.pause();
@@ -44,7 +123,71 @@ export class LiveMusicHelper extends EventTarget {
             this.dispatchEvent(new CustomEvent('error', { detail: e.message }));
             this.pause();
         }
-    }, 200);
+    }, 200, { trailing: true });
+
+    /**
+     * Merges `changes` into the current generation config. The session only
+     * receives the merged config once per `CONFIG_SEND_INTERVAL`.
+     */
+    setMusicGenerationConfig(changes) {
+        let validated;
+        try {
+            validated = validateConfig(changes);
+        }
+        catch (e) {
+            this.dispatchEvent(new CustomEvent('error', { detail: e.message }));
+            return;
+        }
+        if (RESET_CONTEXT_PARAMS.some(key => key in validated && validated[key] !== this.config[key])) {
+            this.contextResetPending = true;
+        }
+        this.bus.cueSheet?.addConfig(this.bus.recordingPosition, Object.fromEntries(Object.entries(validated)
+            .filter(([key, value]) => value !== this.config[key])), this.name);
+        this.config = { ...this.config, ...validated };
+        this.dispatchEvent(new CustomEvent('config-changed', { detail: this.config }));
+        if (this.configTimeout) return;
+        this.configTimeout = setTimeout(() => {
+            this.configTimeout = null;
+            this.sendConfig();
+        }, CONFIG_SEND_INTERVAL);
+    }
+
+    /** Merges `changes` into this deck's effects, which apply right away. */
+    setEffects(changes) {
+        let validated;
+        try {
+            validated = validateEffects(changes);
+        }
+        catch (e) {
+            this.dispatchEvent(new CustomEvent('error', { detail: e.message }));
+            return;
+        }
+        this.effects.set(validated);
+        this.dispatchEvent(new CustomEvent('effects-changed', { detail: this.effects.values }));
+    }
+
+    async sendConfig() {
+        if (!this.session) return;
+        const resetContext = this.contextResetPending;
+        this.contextResetPending = false;
+        try {
+            await this.session.setMusicGenerationConfig({
+                musicGenerationConfig: toMusicGenerationConfig(this.config),
+            });
+            if (resetContext) this.session.resetContext();
+        }
+        catch (e) {
+            this.dispatchEvent(new CustomEvent('error', { detail: e.message }));
+        }
+    }
+
+    /** Sends the current active prompts, bypassing the throttle. */
+    async sendWeightedPrompts() {
+        if (!this.session || this.activePrompts.length === 0) return;
+        await this.session.setWeightedPrompts({
+            weightedPrompts: this.activePrompts,
+        });
+    }
 
     getSession() {
         if (!this.sessionPromise)
@@ -53,36 +196,122 @@ export class LiveMusicHelper extends EventTarget {
     }
 
     async connect() {
-        this.sessionPromise = this.ai.live.music.connect({
+        // Callbacks from a session we have since stopped or given up on are ignored.
+        const connectionId = ++this.connectionId;
+        const isCurrent = () => connectionId === this.connectionId;
+        const onConnectionLost = () => {
+            if (isCurrent()) this.handleConnectionLost();
+        };
+        this.sessionPromise = this.backend.connect({
             model: this.model,
             callbacks: {
                 onmessage: async (e) => {
+                    if (!isCurrent()) return;
                     if (e.setupComplete) {
                         this.connectionError = false;
                     }
                     if (e.filteredPrompt) {
                         this.filteredPrompts = new Set([...this.filteredPrompts, e.filteredPrompt.text]);
+                        this.bus.cueSheet?.addFilteredPrompt(this.bus.recordingPosition, e.filteredPrompt, this.name);
                         this.dispatchEvent(new CustomEvent('filtered-prompt', { detail: e.filteredPrompt }));
                     }
                     if (e.serverContent?.audioChunks) {
                         await this.processAudioChunks(e.serverContent.audioChunks);
                     }
                 },
-                onerror: () => {
-                    this.connectionError = true;
-                    this.stop();
-                    this.dispatchEvent(new CustomEvent('error', { detail: 'Connection error, please restart audio.' }));
-                },
-                onclose: () => {
-                    this.connectionError = true;
-                    this.stop();
-                    this.dispatchEvent(new CustomEvent('error', { detail: 'Connection error, please restart audio.' }));
-                },
+                onerror: onConnectionLost,
+                onclose: onConnectionLost,
             },
         });
         return this.sessionPromise;
     }
 
+    handleConnectionLost() {
+        this.connectionError = true;
+        this.connectionId++;
+        this.session = null;
+        this.sessionPromise = null;
+        this.resetQueue();
+        if (this.playbackState === 'stopped') return;
+        if (this.reconnectAttempt === 0) {
+            this.resumeAfterReconnect = this.playbackState !== 'paused';
+        }
+        this.scheduleReconnect();
+    }
+
+    /** Waits with exponential backoff, then tries to reopen the session. */
+    scheduleReconnect() {
+        if (this.reconnectTimeout) return;
+        const { maxAttempts, baseDelay, maxDelay } = this.reconnectPolicy;
+        if (this.reconnectAttempt >= maxAttempts) {
+            this.stop();
+            this.dispatchEvent(new CustomEvent('error', { detail: 'Connection error, please restart audio.' }));
+            return;
+        }
+        const delay = Math.min(maxDelay, baseDelay * 2 ** this.reconnectAttempt);
+        this.reconnectAttempt++;
+        if (this.resumeAfterReconnect) {
+            this.rampGain(0, 0.1);
+            this.setPlaybackState('loading');
+        }
+        this.dispatchEvent(new CustomEvent('reconnecting', {
+            detail: { attempt: this.reconnectAttempt, maxAttempts, delay },
+        }));
+        this.reconnectTimeout = setTimeout(() => this.reconnect(), delay);
+    }
+
+    async reconnect() {
+        this.reconnectTimeout = null;
+        let session;
+        try {
+            session = await this.getSession();
+        }
+        catch (e) {
+            this.handleConnectionLost();
+            return;
+        }
+        if (this.playbackState === 'stopped') {
+            session.stop();
+            return;
+        }
+        // The new session already dropped and another attempt is scheduled.
+        if (this.reconnectTimeout) return;
+        this.session = session;
+        // A fresh session has no context to reset.
+        this.contextResetPending = false;
+        try {
+            await this.sendWeightedPrompts();
+        }
+        catch (e) {
+            this.handleConnectionLost();
+            return;
+        }
+        const attempts = this.reconnectAttempt;
+        this.reconnectAttempt = 0;
+        if (this.resumeAfterReconnect) {
+            await this.play(RECONNECT_FADE_TIME);
+        }
+        else {
+            await this.sendConfig();
+        }
+        this.dispatchEvent(new CustomEvent('reconnected', { detail: { attempts } }));
+    }
+
+    cancelReconnect() {
+        clearTimeout(this.reconnectTimeout);
+        this.reconnectTimeout = null;
+        this.reconnectAttempt = 0;
+        this.resumeAfterReconnect = false;
+    }
+
+    /** Ramps the output gain from its current value to `value` over `duration` seconds. */
+    rampGain(value, duration) {
+        const now = this.audioContext.currentTime;
+        this.outputNode.gain.cancelScheduledValues(now);
+        this.outputNode.gain.setValueAtTime(this.outputNode.gain.value, now);
+        this.outputNode.gain.linearRampToValueAtTime(value, now + duration);
+    }
+
     setPlaybackState(state) {
         this.playbackState = state;
         this.dispatchEvent(new CustomEvent('playback-state-changed', { detail: state }));
@@ -92,27 +321,87 @@ export class LiveMusicHelper extends EventTarget {
         if (this.playbackState === 'paused' || this.playbackState === 'stopped') return;
         
         const audioBuffer = await decodeAudioData(decode(audioChunks[0].data), this.audioContext, 48000, 2);
+        const now = this.audioContext.currentTime;
+        this.jitterBuffer.recordArrival(now, audioBuffer.duration);
+
         const source = this.audioContext.createBufferSource();
         source.buffer = audioBuffer;
-        source.connect(this.outputNode);
+        const chunkGain = this.audioContext.createGain();
+        source.connect(chunkGain);
+        chunkGain.connect(this.outputNode);
 
-        if (this.nextStartTime === 0) {
-            this.nextStartTime = this.audioContext.currentTime + this.bufferTime;
+        let fadeInTime = 0;
+        if (this.nextStartTime === 0 || this.nextStartTime < now) {
+            // Late chunks are still played, after rebuffering to a larger latency.
+            if (this.nextStartTime !== 0) {
+                this.jitterBuffer.recordUnderrun();
+                this.setPlaybackState('loading');
+                fadeInTime = UNDERRUN_FADE_TIME;
+            }
+            const latency = this.jitterBuffer.targetLatency;
+            this.nextStartTime = now + latency;
             setTimeout(() => {
                 if (this.playbackState === 'loading') {
                     this.setPlaybackState('playing');
                 }
-            }, this.bufferTime * 1000);
+            }, latency * 1000);
         }
-
-        if (this.nextStartTime < this.audioContext.currentTime) {
-            this.setPlaybackState('loading');
-            this.nextStartTime = 0;
-            return;
+        else {
+            const surplus = this.nextStartTime - now - this.jitterBuffer.targetLatency;
+            if (surplus > SHRINK_THRESHOLD && this.lastChunkGain) {
+                // Crossfade into the previous chunk's tail to give back some latency.
+                const overlap = Math.min(surplus, MAX_SHRINK_STEP);
+                this.lastChunkGain.gain.setValueAtTime(1, this.nextStartTime - overlap);
+                this.lastChunkGain.gain.linearRampToValueAtTime(0, this.nextStartTime);
+                this.nextStartTime -= overlap;
+                fadeInTime = overlap;
+            }
         }
 
+        if (fadeInTime > 0) {
+            chunkGain.gain.setValueAtTime(0, this.nextStartTime);
+            chunkGain.gain.linearRampToValueAtTime(1, this.nextStartTime + fadeInTime);
+        }
         source.start(this.nextStartTime);
+        this.looper.append(audioBuffer, this.nextStartTime);
         this.nextStartTime += audioBuffer.duration;
+        this.bus.appendDry(this, audioBuffer);
+        this.lastChunkGain = chunkGain;
+        this.scheduleConcealment();
+        this.dispatchBufferStats();
+    }
+
+    /**
+     * If no chunk has arrived shortly before the queue runs dry, fades out
+     * the last chunk so the underrun doesn't cut off with a click.
+     */
+    scheduleConcealment() {
+        clearTimeout(this.concealTimeout);
+        const endTime = this.nextStartTime;
+        const chunkGain = this.lastChunkGain;
+        const delay = endTime - this.audioContext.currentTime - 2 * UNDERRUN_FADE_TIME;
+        this.concealTimeout = setTimeout(() => {
+            if (this.nextStartTime !== endTime) return;
+            chunkGain.gain.setValueAtTime(1, endTime - UNDERRUN_FADE_TIME);
+            chunkGain.gain.linearRampToValueAtTime(0, endTime);
+        }, Math.max(0, delay) * 1000);
+    }
+
+    dispatchBufferStats() {
+        const { targetLatency, jitter, underruns } = this.jitterBuffer;
+        const depth = Math.max(0, this.nextStartTime - this.audioContext.currentTime);
+        this.dispatchEvent(new CustomEvent('buffer-stats', {
+            detail: { depth, targetLatency, jitter, underruns },
+        }));
+    }
+
+    /** Drops the playback queue; the next chunk starts a new one. */
+    resetQueue() {
+        this.looper.truncate(this.audioContext.currentTime);
+        clearTimeout(this.concealTimeout);
+        this.concealTimeout = null;
+        this.lastChunkGain = null;
+        this.nextStartTime = 0;
     }
 
     get activePrompts() {
@@ -122,45 +411,50 @@ export class LiveMusicHelper extends EventTarget {
             });
     }
 
-    async play() {
+    async play(fadeTime = 0.1) {
+        // Playing by hand while waiting to reconnect connects right away instead.
+        if (this.reconnectTimeout) this.cancelReconnect();
         this.setPlaybackState('loading');
-        this.session = await this.getSession();
+        const session = await this.getSession();
+        const isFresh = session !== this.session;
+        this.session = session;
         await this.setWeightedPrompts(this.prompts);
+        // A fresh session has no context to reset, it just needs the config.
+        // A paused one keeps its context, so changes made meanwhile still reset it.
+        if (isFresh) this.contextResetPending = false;
+        await this.sendConfig();
         this.audioContext.resume();
+        this.jitterBuffer.reset();
         this.session.play();
-
-        this.outputNode.connect(this.audioContext.destination);
-        if (this.extraDestination) this.outputNode.connect(this.extraDestination);
-        this.outputNode.connect(this.mediaStreamDestination);
         
         this.outputNode.gain.cancelScheduledValues(this.audioContext.currentTime);
         this.outputNode.gain.setValueAtTime(0, this.audioContext.currentTime);
-        this.outputNode.gain.linearRampToValueAtTime(1, this.audioContext.currentTime + 0.1);
+        this.outputNode.gain.linearRampToValueAtTime(1, this.audioContext.currentTime + fadeTime);
     }
 
     pause() {
         if (this.session) this.session.pause();
+        this.resumeAfterReconnect = false;
         this.setPlaybackState('paused');
         if (this.audioContext.state === 'running') {
-            this.outputNode.gain.cancelScheduledValues(this.audioContext.currentTime);
-            this.outputNode.gain.setValueAtTime(this.outputNode.gain.value, this.audioContext.currentTime);
-            this.outputNode.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + 0.1);
+            this.rampGain(0, 0.1);
         }
-        this.nextStartTime = 0;
+        this.resetQueue();
     }
 
     stop() {
+        this.cancelReconnect();
+        // Closing the session on purpose must not trigger a reconnect.
+        this.connectionId++;
         if (this.session) {
             this.session.stop();
             this.session = null;
         }
         this.setPlaybackState('stopped');
         if (this.audioContext.state === 'running' && this.outputNode.gain) {
-            this.outputNode.gain.cancelScheduledValues(this.audioContext.currentTime);
-            this.outputNode.gain.setValueAtTime(this.outputNode.gain.value, this.audioContext.currentTime);
-            this.outputNode.gain.linearRampToValueAtTime(0, this.audioContext.currentTime + 0.1);
+            this.rampGain(0, 0.1);
         }
-        this.nextStartTime = 0;
+        this.resetQueue();
         this.sessionPromise = null;
     }
 
@@ -175,49 +469,4 @@ export class LiveMusicHelper extends EventTarget {
                 return this.stop();
         }
     }
-
-    startRecording() {
-        if (this.mediaRecorder && this.mediaRecorder.state === 'recording') {
-            console.warn('Recording is already in progress.');
-            return;
-        }
-        const options = { mimeType: 'audio/webm' };
-        try {
-            this.mediaRecorder = new MediaRecorder(this.mediaStreamDestination.stream, options);
-        }
-        catch (e) {
-            console.error('Recording format not supported, trying default.');
-            try {
-                this.mediaRecorder = new MediaRecorder(this.mediaStreamDestination.stream);
-            }
-            catch (err) {
-                this.dispatchEvent(new CustomEvent('error', { detail: 'Recording is not supported in this browser.' }));
-                return;
-            }
-        }
-        this.recordedChunks = [];
-        this.mediaRecorder.ondataavailable = (event) => {
-            if (event.data.size > 0) {
-                this.recordedChunks.push(event.data);
-            }
-        };
-        this.mediaRecorder.start();
-    }
-
-    stopRecording() {
-        return new Promise(resolve => {
-            if (!this.mediaRecorder || this.mediaRecorder.state === 'inactive') {
-                console.warn('Recording is not active.');
-                resolve(null);
-                return;
-            }
-            this.mediaRecorder.onstop = () => {
-                const mimeType = this.recordedChunks[0]?.type || 'audio/mp3';
-                const audioBlob = new Blob(this.recordedChunks, { type: mimeType });
-                this.recordedChunks = [];
-                resolve(audioBlob);
-            };
-            this.mediaRecorder.stop();
-        });
-    }
 }
@@ -0,0 +1,233 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { encode } from './audio.js';
+import { DEFAULT_CONFIG, SCALES } from './MusicConfig.js';
+
+const SAMPLE_RATE = 48000;
+const NUM_CHANNELS = 2;
+/** Length of each generated audio chunk, in seconds. */
+const CHUNK_DURATION = 1;
+/** How far ahead of real time the session generates, in seconds. */
+const LOOKAHEAD = 3;
+const TICK_INTERVAL = 250;
+const MINOR_PENTATONIC = [0, 3, 5, 7, 10];
+const VOICE_KINDS = ['pad', 'bass', 'arp', 'drums'];
+
+/**
+ * An offline stand-in for `ai.live.music`. Sessions synthesize simple
+ * loops whose voices are derived from the prompt texts and mixed by weight,
+ * and speak the same message protocol as the real service.
+ */
+export class LocalMusicBackend {
+    /**
+     * @param {{blockedWords?: string[]}} options Prompts containing any of
+     *     these words are reported back as filtered.
+     */
+    constructor({ blockedWords = [] } = {}) {
+        this.blockedWords = blockedWords.map(w => w.toLowerCase());
+    }
+
+    async connect({ callbacks }) {
+        const session = new LocalMusicSession(callbacks, this.blockedWords);
+        setTimeout(() => callbacks.onmessage?.({ setupComplete: {} }), 0);
+        return session;
+    }
+}
+
+class LocalMusicSession {
+    constructor(callbacks, blockedWords) {
+        this.callbacks = callbacks;
+        this.blockedWords = blockedWords;
+        this.voices = [];
+        this.config = { ...DEFAULT_CONFIG };
+        this.frame = 0;
+        this.timer = null;
+        this.startedAt = 0;
+        this.sentSeconds = 0;
+        this.closed = false;
+        this.tick = this.tick.bind(this);
+    }
+
+    async setWeightedPrompts({ weightedPrompts }) {
+        this.assertOpen();
+        const allowed = [];
+        for (const prompt of weightedPrompts) {
+            const text = prompt.text.toLowerCase();
+            const word = this.blockedWords.find(w => text.includes(w));
+            if (word) {
+                this.callbacks.onmessage?.({
+                    filteredPrompt: { text: prompt.text, filteredReason: `"${word}" is blocked by the local backend.` },
+                });
+            }
+            else {
+                allowed.push(prompt);
+            }
+        }
+        this.voices = allowed.map(createVoice);
+    }
+
+    async setMusicGenerationConfig({ musicGenerationConfig }) {
+        this.assertOpen();
+        this.config = { ...DEFAULT_CONFIG, ...musicGenerationConfig };
+    }
+
+    resetContext() {
+        this.frame = 0;
+    }
+
+    play() {
+        this.assertOpen();
+        if (this.timer) return;
+        this.startedAt = performance.now();
+        this.sentSeconds = 0;
+        this.timer = setInterval(this.tick, TICK_INTERVAL);
+        this.tick();
+    }
+
+    pause() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    stop() {
+        if (this.closed) return;
+        this.pause();
+        this.closed = true;
+        this.callbacks.onclose?.({});
+    }
+
+    assertOpen() {
+        if (this.closed) throw new Error('Session is closed.');
+    }
+
+    /** Sends chunks until the session is `LOOKAHEAD` seconds ahead of real time. */
+    tick() {
+        const elapsed = (performance.now() - this.startedAt) / 1000;
+        while (this.timer && this.sentSeconds < elapsed + LOOKAHEAD) {
+            const data = encode(new Uint8Array(this.renderChunk().buffer));
+            this.sentSeconds += CHUNK_DURATION;
+            this.callbacks.onmessage?.({
+                serverContent: {
+                    audioChunks: [{ data, mimeType: `audio/l16;rate=${SAMPLE_RATE};channels=${NUM_CHANNELS}` }],
+                },
+            });
+        }
+    }
+
+    /** Renders the next chunk as interleaved 16-bit PCM. */
+    renderChunk() {
+        const frames = SAMPLE_RATE * CHUNK_DURATION;
+        const pcm = new Int16Array(frames * NUM_CHANNELS);
+        const bpm = this.config.bpm ?? 120;
+        const density = this.config.density ?? 0.5;
+        const brightness = this.config.brightness ?? 0.5;
+        const scaleIndex = SCALES.findIndex(s => s.value === this.config.scale);
+        // Scales are listed from C major / A minor upwards; voices play the relative minor.
+        const root = scaleIndex > 0 ? (9 + scaleIndex - 1) % 12 : 9;
+        const seed = this.config.seed ?? 0;
+        const totalWeight = this.voices.reduce((sum, v) => sum + v.weight, 0);
+        const norm = 1 / Math.max(1, totalWeight);
+
+        for (let i = 0; i < frames; i++) {
+            const t = (this.frame + i) / SAMPLE_RATE;
+            const beat = (t * bpm) / 60;
+            const step = Math.floor(beat * 4);
+            const stepTime = ((beat * 4) % 1) * (15 / bpm);
+            const beatTime = (beat % 1) * (60 / bpm);
+            const ctx = { t, beat, step, stepTime, beatTime, root, density, brightness, seed };
+            let left = 0;
+            let right = 0;
+            for (const voice of this.voices) {
+                const sample = renderVoice(voice, ctx) * voice.weight * norm;
+                left += sample * voice.gainLeft;
+                right += sample * voice.gainRight;
+            }
+            pcm[i * 2] = Math.tanh(left) * 32767;
+            pcm[i * 2 + 1] = Math.tanh(right) * 32767;
+        }
+        this.frame += frames;
+        return pcm;
+    }
+}
+
+/** FNV-1a, used to give each prompt text a stable character. */
+function hashText(text) {
+    let h = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 16777619);
+    }
+    return h >>> 0;
+}
+
+/** Deterministic noise in [-1, 1) for an integer `n`. */
+function noise(n) {
+    let x = Math.imul(n ^ 0x9e3779b9, 0x85ebca6b);
+    x ^= x >>> 13;
+    x = Math.imul(x, 0xc2b2ae35);
+    x ^= x >>> 16;
+    return (x >>> 0) / 0x80000000 - 1;
+}
+
+function midiToFreq(note) {
+    return 440 * 2 ** ((note - 69) / 12);
+}
+
+function createVoice({ text, weight }) {
+    const h = hashText(text.trim().toLowerCase());
+    const pan = ((h >>> 4) % 100) / 100 - 0.5;
+    const angle = (pan + 0.5) * (Math.PI / 2);
+    return {
+        kind: VOICE_KINDS[h % VOICE_KINDS.length],
+        pattern: h >>> 8,
+        octave: (h >>> 2) % 2,
+        weight,
+        gainLeft: Math.cos(angle),
+        gainRight: Math.sin(angle),
+    };
+}
+
+/** The scale degree a voice plays on its `n`th note. */
+function degreeAt(voice, n) {
+    return MINOR_PENTATONIC[(voice.pattern >>> ((n % 8) * 3)) % MINOR_PENTATONIC.length];
+}
+
+function renderVoice(voice, { t, beat, step, stepTime, beatTime, root, density, brightness, seed }) {
+    switch (voice.kind) {
+        case 'pad': {
+            const bar = Math.floor(beat / 4);
+            const base = 48 + root + voice.octave * 12 + degreeAt(voice, bar);
+            const swell = 0.75 + 0.25 * Math.sin(2 * Math.PI * t * 0.25);
+            let sample = 0;
+            for (const interval of [0, 7, 12]) {
+                const phase = 2 * Math.PI * midiToFreq(base + interval) * t;
+                sample += Math.sin(phase) + brightness * 0.3 * Math.sin(2 * phase);
+            }
+            return sample * 0.15 * swell;
+        }
+        case 'bass': {
+            const freq = midiToFreq(36 + root + degreeAt(voice, Math.floor(beat)));
+            const phase = (freq * beatTime) % 1;
+            const saw = 2 * phase - 1;
+            const sine = Math.sin(2 * Math.PI * phase);
+            return (sine * (1 - brightness) + saw * brightness) * Math.exp(-beatTime * 3) * 0.6;
+        }
+        case 'arp': {
+            if ((noise(step + seed + voice.pattern) + 1) / 2 > density) return 0;
+            const freq = midiToFreq(72 + root + voice.octave * 12 + degreeAt(voice, step));
+            const sine = Math.sin(2 * Math.PI * freq * stepTime);
+            const square = Math.sign(sine);
+            return (sine * (1 - brightness) + square * brightness * 0.5) * Math.exp(-stepTime * 20) * 0.4;
+        }
+        case 'drums': {
+            const kickFreq = 50 + 100 * Math.exp(-beatTime * 30);
+            const kick = Math.sin(2 * Math.PI * kickFreq * beatTime) * Math.exp(-beatTime * 12);
+            const hatOn = step % 2 === 1 && (noise(step + seed) + 1) / 2 < density + 0.3;
+            const hat = hatOn ? noise(Math.floor(t * SAMPLE_RATE)) * Math.exp(-stepTime * 60) * brightness : 0;
+            return kick * 0.8 + hat * 0.3;
+        }
+    }
+    return 0;
+}
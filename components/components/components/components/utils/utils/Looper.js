@@ -0,0 +1,202 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+/** Seconds of the stream kept for grabbing loops. */
+const BUFFER_SECONDS = 64;
+/** Seconds of the fade applied at both ends of a grabbed loop, so its seam doesn't click. */
+const SEAM_FADE_TIME = 0.005;
+/** Seconds a loop takes to start or stop outright, and to fade in or out. */
+const DECLICK_TIME = 0.02;
+const FADE_TIME = 4;
+/** Time constant, in seconds, of level changes. */
+const SMOOTHING = 0.02;
+
+/**
+ * Keeps a rolling buffer of the decoded stream and plays loops grabbed
+ * from it. Connect `output` where the loops should be heard; it doesn't
+ * depend on the stream, so loops keep playing while the session is paused
+ * or reconnecting.
+ *
+ * Loops started while others play are phase-aligned with them. Dispatches
+ * `slots-changed` with one `{duration, playing, level}` per slot, or null
+ * for an empty one, and `error` if there is nothing to grab yet.
+ */
+export class Looper extends EventTarget {
+    constructor(context, { slotCount = 4 } = {}) {
+        super();
+        this.context = context;
+        this.output = context.createGain();
+        // `{buffer, start, end}` of each chunk, in context time, oldest first.
+        this.chunks = [];
+        this.slots = Array(slotCount).fill(null);
+        // Context time the playing loops are aligned to.
+        this.origin = 0;
+        // Sources of stopped loops that are still fading out.
+        this.tails = new Set();
+    }
+
+    /** Whether any loop can be heard, including ones fading out. */
+    get isPlaying() {
+        return this.slots.some(s => s?.playing) || this.tails.size > 0;
+    }
+
+    /** Adds a chunk scheduled to play at `start`, dropping what no longer fits the buffer. */
+    append(buffer, start) {
+        this.chunks.push({ buffer, start, end: start + buffer.duration });
+        const end = this.chunks[this.chunks.length - 1].end;
+        while (this.chunks.length > 1 && end - this.chunks[1].start > BUFFER_SECONDS) this.chunks.shift();
+    }
+
+    /** Forgets the audio scheduled after `time`, which won't be heard after all. */
+    truncate(time) {
+        this.chunks = this.chunks.filter(c => c.start < time);
+        for (const chunk of this.chunks) chunk.end = Math.min(chunk.end, time);
+    }
+
+    /** Runs a `loop-action` from the looper panel: `{action, slot, seconds, level}`. */
+    run({ action, slot, seconds, level }) {
+        switch (action) {
+            case 'grab':
+                return this.grab(slot, seconds);
+            case 'play':
+                return this.play(slot);
+            case 'stop':
+                return this.stop(slot);
+            case 'fade':
+                return this.slots[slot]?.playing ? this.stop(slot, FADE_TIME) : this.play(slot, FADE_TIME);
+            case 'level':
+                return this.setLevel(slot, level);
+            case 'clear':
+                return this.clear(slot);
+        }
+    }
+
+    /**
+     * Copies the last `seconds` heard into `slot`, replacing its loop. If it
+     * was playing, the new loop takes over.
+     */
+    grab(slot, seconds) {
+        const { sampleRate } = this.context;
+        const to = Math.min(this.context.currentTime, this.chunks[this.chunks.length - 1]?.end ?? 0);
+        const from = Math.max(this.chunks[0]?.start ?? 0, to - seconds);
+        const length = Math.round((to - from) * sampleRate);
+        if (length <= 0) {
+            this.dispatchEvent(new CustomEvent('error', { detail: 'Nothing to loop yet, play something first.' }));
+            return;
+        }
+        const buffer = this.context.createBuffer(2, length, sampleRate);
+        for (const chunk of this.chunks) {
+            if (chunk.end <= from || chunk.start >= to) continue;
+            const sourceOffset = Math.max(0, Math.round((from - chunk.start) * sampleRate));
+            const offset = Math.max(0, Math.round((chunk.start - from) * sampleRate));
+            const count = Math.min(
+                Math.round((Math.min(chunk.end, to) - Math.max(chunk.start, from)) * sampleRate),
+                chunk.buffer.length - sourceOffset,
+                length - offset);
+            if (count <= 0) continue;
+            for (let c = 0; c < 2; c++) {
+                const data = chunk.buffer.getChannelData(Math.min(c, chunk.buffer.numberOfChannels - 1));
+                buffer.getChannelData(c).set(data.subarray(sourceOffset, sourceOffset + count), offset);
+            }
+        }
+        fadeEnds(buffer, Math.round(SEAM_FADE_TIME * sampleRate));
+        const previous = this.slots[slot];
+        if (previous) this.stopSource(previous, DECLICK_TIME);
+        this.slots[slot] = {
+            buffer,
+            level: previous?.level ?? 1,
+            playing: false,
+            source: null,
+            gain: null,
+        };
+        if (previous?.playing) this.play(slot);
+        else this.dispatchSlots();
+    }
+
+    /** Starts `slot` in phase with the loops already playing, fading in over `fadeTime`. */
+    play(slot, fadeTime = DECLICK_TIME) {
+        const loop = this.slots[slot];
+        if (!loop || loop.playing) return;
+        const now = this.context.currentTime;
+        if (!this.slots.some(s => s?.playing)) this.origin = now;
+        loop.gain = this.context.createGain();
+        loop.gain.gain.setValueAtTime(0, now);
+        loop.gain.gain.linearRampToValueAtTime(loop.level, now + fadeTime);
+        loop.gain.connect(this.output);
+        loop.source = this.context.createBufferSource();
+        loop.source.buffer = loop.buffer;
+        loop.source.loop = true;
+        loop.source.connect(loop.gain);
+        loop.source.start(now, (now - this.origin) % loop.buffer.duration);
+        loop.playing = true;
+        this.dispatchSlots();
+    }
+
+    /** Stops `slot` after fading out over `fadeTime`. */
+    stop(slot, fadeTime = DECLICK_TIME) {
+        const loop = this.slots[slot];
+        if (!loop?.playing) return;
+        this.stopSource(loop, fadeTime);
+        this.dispatchSlots();
+    }
+
+    stopSource(loop, fadeTime) {
+        if (!loop.source) return;
+        const now = this.context.currentTime;
+        loop.gain.gain.cancelScheduledValues(now);
+        loop.gain.gain.setValueAtTime(loop.gain.gain.value, now);
+        loop.gain.gain.linearRampToValueAtTime(0, now + fadeTime);
+        loop.source.stop(now + fadeTime);
+        const { source, gain } = loop;
+        this.tails.add(source);
+        source.onended = () => {
+            gain.disconnect();
+            this.tails.delete(source);
+            this.dispatchSlots();
+        };
+        loop.source = null;
+        loop.gain = null;
+        loop.playing = false;
+    }
+
+    /** Sets the level of `slot`, 0-1. */
+    setLevel(slot, level) {
+        const loop = this.slots[slot];
+        if (!loop) return;
+        loop.level = Math.max(0, Math.min(1, level));
+        if (loop.gain) {
+            const now = this.context.currentTime;
+            loop.gain.gain.cancelScheduledValues(now);
+            loop.gain.gain.setTargetAtTime(loop.level, now, SMOOTHING);
+        }
+        this.dispatchSlots();
+    }
+
+    clear(slot) {
+        const loop = this.slots[slot];
+        if (!loop) return;
+        this.stopSource(loop, DECLICK_TIME);
+        this.slots[slot] = null;
+        this.dispatchSlots();
+    }
+
+    dispatchSlots() {
+        this.dispatchEvent(new CustomEvent('slots-changed', {
+            detail: this.slots.map(s => s && { duration: s.buffer.duration, playing: s.playing, level: s.level }),
+        }));
+    }
+}
+
+/** Fades the first and last `frames` of every channel of `buffer` in place. */
+function fadeEnds(buffer, frames) {
+    const n = Math.min(frames, Math.floor(buffer.length / 2));
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < n; i++) {
+            const g = i / n;
+            data[i] *= g;
+            data[data.length - 1 - i] *= g;
+        }
+    }
+}
@@ -0,0 +1,209 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { RECORDING_FORMATS } from './audio.js';
+import { WavRecorder } from './WavRecorder.js';
+import { CueSheet } from './CueSheet.js';
+import { RecorderTap } from './RecorderTap.js';
+
+/** Seconds the decks take to fade out when they pause or stop. */
+const FADE_OUT_TIME = 0.1;
+
+/**
+ * Where the decks' output meets: sends `input` to the speakers, to
+ * `extraDestination` (e.g. an analyser) and to the recorder. Recordings
+ * capture the whole mix, and pause while neither a deck nor a loop plays.
+ *
+ * Decks are `LiveMusicHelper`s registered with `addSource`; the cue sheet
+ * is fed by them while a recording runs.
+ */
+export class MasterBus extends EventTarget {
+    constructor(context) {
+        super();
+        this.context = context;
+        this.sources = [];
+        this.input = context.createGain();
+        this.input.connect(context.destination);
+        this.mediaStreamDestination = context.createMediaStreamDestination();
+        this.input.connect(this.mediaStreamDestination);
+        this._extraDestination = null;
+        this.mediaRecorder = null;
+        this.recordedChunks = [];
+        this.wavRecorder = null;
+        // Timeline of the current recording, and the clock of a `MediaRecorder` one, which pauses with it.
+        this.cueSheet = null;
+        this.recordingStartTime = 0;
+        this.recordingPausedAt = null;
+        this.pauseTimeout = null;
+        // WAV recordings are taken off the mix. Without AudioWorklet, they fall back to the first deck's dry chunks.
+        this.recorderTap = new RecorderTap(context);
+        this.recorderTap.ondata = (channels) => this.wavRecorder?.appendChannels(channels);
+        this.recorderTap.ready
+            .then((node) => this.input.connect(node))
+            .catch((e) => console.warn('Recording without effects:', e));
+    }
+
+    get extraDestination() {
+        return this._extraDestination;
+    }
+
+    set extraDestination(node) {
+        if (this._extraDestination) this.input.disconnect(this._extraDestination);
+        this._extraDestination = node;
+        if (node) this.input.connect(node);
+    }
+
+    /** Registers a deck, so recordings follow its playback state and loops, and start with its prompts. */
+    addSource(source) {
+        this.sources.push(source);
+        source.addEventListener('playback-state-changed', () => this.updateRecorder());
+        source.looper.addEventListener('slots-changed', () => this.updateRecorder());
+    }
+
+    /** Whether any deck is playing or about to, or playing loops. */
+    get isPlaying() {
+        return this.sources.some(s => s.playbackState === 'playing' || s.playbackState === 'loading' || s.looper.isPlaying);
+    }
+
+    /**
+     * Whether anything can be heard: a deck that has started its first chunk,
+     * or loops. Unlike `isPlaying`, a deck still filling its jitter buffer
+     * doesn't count, so its silence stays out of recordings.
+     */
+    get isSounding() {
+        return this.sources.some(s => s.playbackState === 'playing' || s.looper.isPlaying);
+    }
+
+    /**
+     * Resumes the recorder as soon as a deck is heard, and pauses it once the
+     * last one has faded out, so pausing leaves no gap in the recording.
+     */
+    updateRecorder() {
+        clearTimeout(this.pauseTimeout);
+        this.pauseTimeout = null;
+        if (this.isSounding) {
+            if (this.wavRecorder) this.recorderTap.setEnabled(true);
+            if (this.mediaRecorder?.state === 'paused') {
+                this.mediaRecorder.resume();
+                this.recordingStartTime += performance.now() - this.recordingPausedAt;
+                this.recordingPausedAt = null;
+            }
+            return;
+        }
+        this.pauseTimeout = setTimeout(() => {
+            this.pauseTimeout = null;
+            if (this.isSounding) return;
+            this.recorderTap.setEnabled(false);
+            if (this.mediaRecorder?.state === 'recording') {
+                this.mediaRecorder.pause();
+                this.recordingPausedAt = performance.now();
+            }
+        }, FADE_OUT_TIME * 1000);
+    }
+
+    /** Records `audioBuffer` from `source` if the mix can't be tapped. */
+    appendDry(source, audioBuffer) {
+        if (this.recorderTap.node || source !== this.sources[0]) return;
+        this.wavRecorder?.append(audioBuffer);
+    }
+
+    get isRecording() {
+        return this.wavRecorder !== null || (this.mediaRecorder !== null && this.mediaRecorder.state !== 'inactive');
+    }
+
+    /**
+     * Seconds into the current recording. WAV recordings count the audio
+     * received, so cues line up with the stream even across pauses.
+     */
+    get recordingPosition() {
+        if (this.wavRecorder) return this.wavRecorder.duration;
+        return ((this.recordingPausedAt ?? performance.now()) - this.recordingStartTime) / 1000;
+    }
+
+    /** @param format One of the `RECORDING_FORMATS` values. */
+    startRecording(format = 'wav16') {
+        if (this.isRecording) {
+            console.warn('Recording is already in progress.');
+            return;
+        }
+        const { bitDepth } = RECORDING_FORMATS.find(f => f.value === format) ?? {};
+        if (bitDepth) {
+            this.wavRecorder = new WavRecorder({ sampleRate: this.context.sampleRate, numChannels: 2, bitDepth });
+            this.recorderTap.setEnabled(this.isSounding);
+        }
+        else if (!this.startMediaRecorder()) {
+            return;
+        }
+        this.cueSheet = new CueSheet();
+        for (const source of this.sources) {
+            this.cueSheet.addPrompts(0, source.activePrompts, source.name);
+            this.cueSheet.addConfig(0, { ...source.config }, source.name);
+        }
+    }
+
+    /** Records the mix through `MediaRecorder`, compressed by the browser. Returns whether it started. */
+    startMediaRecorder() {
+        const options = { mimeType: 'audio/webm' };
+        try {
+            this.mediaRecorder = new MediaRecorder(this.mediaStreamDestination.stream, options);
+        }
+        catch (e) {
+            console.error('Recording format not supported, trying default.');
+            try {
+                this.mediaRecorder = new MediaRecorder(this.mediaStreamDestination.stream);
+            }
+            catch (err) {
+                this.dispatchEvent(new CustomEvent('error', { detail: 'Recording is not supported in this browser.' }));
+                return false;
+            }
+        }
+        this.recordedChunks = [];
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                this.recordedChunks.push(event.data);
+            }
+        };
+        this.mediaRecorder.start();
+        this.recordingStartTime = performance.now();
+        this.recordingPausedAt = null;
+        if (!this.isSounding) {
+            this.mediaRecorder.pause();
+            this.recordingPausedAt = this.recordingStartTime;
+        }
+        return true;
+    }
+
+    /**
+     * Resolves to `{blob, cueSheet}`, or null if nothing was being recorded.
+     * WAV files carry the cues as markers too.
+     */
+    async stopRecording() {
+        if (this.wavRecorder) {
+            this.recorderTap.setEnabled(false);
+            await this.recorderTap.flush();
+        }
+        const cueSheet = this.cueSheet ?? new CueSheet();
+        cueSheet.duration = this.recordingPosition;
+        this.cueSheet = null;
+        if (this.wavRecorder) {
+            const blob = this.wavRecorder.finish(cueSheet.toMarkers());
+            this.wavRecorder = null;
+            return { blob, cueSheet };
+        }
+        return new Promise(resolve => {
+            if (!this.mediaRecorder || this.mediaRecorder.state === 'inactive') {
+                console.warn('Recording is not active.');
+                resolve(null);
+                return;
+            }
+            this.mediaRecorder.onstop = () => {
+                const mimeType = this.recordedChunks[0]?.type || this.mediaRecorder.mimeType || 'audio/webm';
+                const blob = new Blob(this.recordedChunks, { type: mimeType });
+                this.recordedChunks = [];
+                resolve({ blob, cueSheet });
+            };
+            this.mediaRecorder.stop();
+        });
+    }
+}
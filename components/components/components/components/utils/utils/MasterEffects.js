@@ -0,0 +1,224 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+/**
+ * Master effect parameters, their ranges and how they are displayed, by
+ * section. Kills and bypasses are switches: 0 is off, 1 is on.
+ */
+export const EFFECT_PARAMS = {
+    eqLow: { label: 'Low', section: 'EQ', min: -24, max: 6, step: 0.5 },
+    eqMid: { label: 'Mid', section: 'EQ', min: -24, max: 6, step: 0.5 },
+    eqHigh: { label: 'High', section: 'EQ', min: -24, max: 6, step: 0.5 },
+    eqLowKill: { label: 'Low kill', section: 'EQ', min: 0, max: 1, step: 1 },
+    eqMidKill: { label: 'Mid kill', section: 'EQ', min: 0, max: 1, step: 1 },
+    eqHighKill: { label: 'High kill', section: 'EQ', min: 0, max: 1, step: 1 },
+    eqBypass: { label: 'Bypass', section: 'EQ', min: 0, max: 1, step: 1 },
+    filter: { label: 'LP / HP', section: 'Filter', min: -1, max: 1, step: 0.01 },
+    filterResonance: { label: 'Reso', section: 'Filter', min: 0, max: 20, step: 0.5 },
+    filterBypass: { label: 'Bypass', section: 'Filter', min: 0, max: 1, step: 1 },
+    delayTime: { label: 'Time', section: 'Delay', min: 0.02, max: 2, step: 0.01 },
+    delayFeedback: { label: 'Feedback', section: 'Delay', min: 0, max: 0.9, step: 0.01 },
+    delayMix: { label: 'Mix', section: 'Delay', min: 0, max: 1, step: 0.01 },
+    delayBypass: { label: 'Bypass', section: 'Delay', min: 0, max: 1, step: 1 },
+    reverbDecay: { label: 'Decay', section: 'Reverb', min: 0.3, max: 8, step: 0.1 },
+    reverbMix: { label: 'Mix', section: 'Reverb', min: 0, max: 1, step: 0.01 },
+    reverbBypass: { label: 'Bypass', section: 'Reverb', min: 0, max: 1, step: 1 },
+    limiterThreshold: { label: 'Ceiling', section: 'Limiter', min: -24, max: 0, step: 0.5 },
+    limiterBypass: { label: 'Bypass', section: 'Limiter', min: 0, max: 1, step: 1 },
+};
+
+/** A neutral chain: flat EQ, open filter, no delay or reverb, limiting just below 0 dBFS. */
+export const DEFAULT_EFFECTS = {
+    eqLow: 0,
+    eqMid: 0,
+    eqHigh: 0,
+    eqLowKill: 0,
+    eqMidKill: 0,
+    eqHighKill: 0,
+    eqBypass: 0,
+    filter: 0,
+    filterResonance: 6,
+    filterBypass: 0,
+    delayTime: 0.375,
+    delayFeedback: 0.35,
+    delayMix: 0,
+    delayBypass: 0,
+    reverbDecay: 2.5,
+    reverbMix: 0,
+    reverbBypass: 0,
+    limiterThreshold: -1,
+    limiterBypass: 0,
+};
+
+/** Shelving and peaking gain, in dB, of a killed band. */
+const KILL_GAIN = -60;
+const EQ_LOW_FREQUENCY = 250;
+const EQ_MID_FREQUENCY = 1000;
+const EQ_HIGH_FREQUENCY = 4000;
+/** The filter sweeps this many octaves down from 20 kHz, or up from 20 Hz. */
+const FILTER_OCTAVES = 10;
+/** Time constant, in seconds, of parameter changes, to avoid zipper noise and clicks. */
+const SMOOTHING = 0.015;
+/** Impulse responses are rebuilt at most this often while the decay is turned, in ms. */
+const REVERB_REBUILD_DELAY = 150;
+
+/**
+ * Checks a partial set of effect values and returns a copy containing only
+ * known keys. Throws if any value is out of range.
+ */
+export function validateEffects(effects) {
+    if (!effects || typeof effects !== 'object') {
+        throw new Error('Effects must be an object.');
+    }
+    const result = {};
+    for (const [key, value] of Object.entries(effects)) {
+        if (!(key in EFFECT_PARAMS)) continue;
+        const { label, section, min, max, step } = EFFECT_PARAMS[key];
+        if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max) {
+            throw new Error(`${section} ${label.toLowerCase()} must be a number between ${min} and ${max}.`);
+        }
+        result[key] = step === 1 ? Math.round(value) : value;
+    }
+    return result;
+}
+
+/**
+ * DJ-style master chain: 3-band EQ with kills, a resonant low/high-pass
+ * filter, delay, reverb and a limiter, in that order. Connect the signal to
+ * `input` and `output` to wherever it should go. Each section can be
+ * bypassed on its own; bypassing the delay or reverb lets their tails ring
+ * out.
+ */
+export class MasterEffects {
+    constructor(context) {
+        this.context = context;
+        this.values = { ...DEFAULT_EFFECTS };
+        this.reverbTimeout = null;
+        this.input = context.createGain();
+        this.output = context.createGain();
+
+        this.low = new BiquadFilterNode(context, { type: 'lowshelf', frequency: EQ_LOW_FREQUENCY });
+        this.mid = new BiquadFilterNode(context, { type: 'peaking', frequency: EQ_MID_FREQUENCY, Q: 0.7 });
+        this.high = new BiquadFilterNode(context, { type: 'highshelf', frequency: EQ_HIGH_FREQUENCY });
+        const eq = createSection(context, (send, output) => {
+            send.connect(this.low).connect(this.mid).connect(this.high).connect(output);
+        });
+
+        this.lowpass = new BiquadFilterNode(context, { type: 'lowpass', frequency: 20000, Q: 0 });
+        this.highpass = new BiquadFilterNode(context, { type: 'highpass', frequency: 20, Q: 0 });
+        const filter = createSection(context, (send, output) => {
+            send.connect(this.lowpass).connect(this.highpass).connect(output);
+        });
+
+        this.delay = new DelayNode(context, { maxDelayTime: EFFECT_PARAMS.delayTime.max });
+        this.delayFeedback = context.createGain();
+        this.delayWet = context.createGain();
+        const delay = createSection(context, (send, output) => {
+            send.connect(output);
+            send.connect(this.delay).connect(this.delayWet).connect(output);
+            this.delay.connect(this.delayFeedback).connect(this.delay);
+        });
+
+        this.convolver = context.createConvolver();
+        this.reverbWet = context.createGain();
+        const reverb = createSection(context, (send, output) => {
+            send.connect(output);
+            send.connect(this.convolver).connect(this.reverbWet).connect(output);
+        });
+
+        this.limiter = new DynamicsCompressorNode(context, { knee: 0, ratio: 20, attack: 0.002, release: 0.1 });
+        const limiter = createSection(context, (send, output) => {
+            send.connect(this.limiter).connect(output);
+        });
+
+        this.sections = { eq, filter, delay, reverb, limiter };
+        this.input.connect(eq.input);
+        eq.output.connect(filter.input);
+        filter.output.connect(delay.input);
+        delay.output.connect(reverb.input);
+        reverb.output.connect(limiter.input);
+        limiter.output.connect(this.output);
+
+        this.buildImpulse();
+        this.apply(this.values, true);
+    }
+
+    /** Applies validated values, e.g. from `validateEffects`. */
+    set(changes) {
+        const decayChanged = 'reverbDecay' in changes && changes.reverbDecay !== this.values.reverbDecay;
+        this.values = { ...this.values, ...changes };
+        this.apply(this.values);
+        if (decayChanged) {
+            clearTimeout(this.reverbTimeout);
+            this.reverbTimeout = setTimeout(() => this.buildImpulse(), REVERB_REBUILD_DELAY);
+        }
+    }
+
+    apply(v, immediate = false) {
+        const now = this.context.currentTime;
+        const ramp = (param, value) => {
+            if (immediate) param.value = value;
+            else param.setTargetAtTime(value, now, SMOOTHING);
+        };
+        ramp(this.low.gain, v.eqLowKill ? KILL_GAIN : v.eqLow);
+        ramp(this.mid.gain, v.eqMidKill ? KILL_GAIN : v.eqMid);
+        ramp(this.high.gain, v.eqHighKill ? KILL_GAIN : v.eqHigh);
+        // Left of center closes the low-pass, right of center opens the high-pass.
+        ramp(this.lowpass.frequency, 20000 * 2 ** (Math.min(0, v.filter) * FILTER_OCTAVES));
+        ramp(this.highpass.frequency, 20 * 2 ** (Math.max(0, v.filter) * FILTER_OCTAVES));
+        // Resonance is in dB, and only on the side that is in use.
+        ramp(this.lowpass.Q, v.filter < 0 ? v.filterResonance : 0);
+        ramp(this.highpass.Q, v.filter > 0 ? v.filterResonance : 0);
+        ramp(this.delay.delayTime, v.delayTime);
+        ramp(this.delayFeedback.gain, v.delayFeedback);
+        ramp(this.delayWet.gain, v.delayMix);
+        ramp(this.reverbWet.gain, v.reverbMix);
+        ramp(this.limiter.threshold, v.limiterThreshold);
+        for (const [name, section] of Object.entries(this.sections)) {
+            section.setBypassed(Boolean(v[`${name}Bypass`]), immediate);
+        }
+    }
+
+    /** Exponentially decaying stereo noise, long enough to fall by 60 dB over `reverbDecay`. */
+    buildImpulse() {
+        this.reverbTimeout = null;
+        const { sampleRate } = this.context;
+        const decay = this.values.reverbDecay;
+        const length = Math.ceil(decay * sampleRate);
+        const impulse = this.context.createBuffer(2, length, sampleRate);
+        for (let c = 0; c < 2; c++) {
+            const data = impulse.getChannelData(c);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * 10 ** (-3 * i / length);
+            }
+        }
+        this.convolver.buffer = impulse;
+    }
+}
+
+/**
+ * A section of the chain that can be bypassed without clicks: `process`
+ * wires `send` to `output`, and bypassing crossfades from `send` to a
+ * straight path from `input`.
+ */
+function createSection(context, process) {
+    const input = context.createGain();
+    const output = context.createGain();
+    const send = context.createGain();
+    const through = new GainNode(context, { gain: 0 });
+    input.connect(send);
+    input.connect(through).connect(output);
+    process(send, output);
+    return {
+        input,
+        output,
+        setBypassed(bypassed, immediate) {
+            const now = context.currentTime;
+            for (const [gain, value] of [[send.gain, bypassed ? 0 : 1], [through.gain, bypassed ? 1 : 0]]) {
+                if (immediate) gain.value = value;
+                else gain.setTargetAtTime(value, now, SMOOTHING);
+            }
+        },
+    };
+}
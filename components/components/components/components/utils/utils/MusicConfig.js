@@ -0,0 +1,94 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+/** Numeric generation parameters, their ranges and how they are displayed. */
+export const CONFIG_PARAMS = {
+    bpm: { label: 'BPM', min: 60, max: 200, step: 1, integer: true, nullable: true },
+    density: { label: 'Density', min: 0, max: 1, step: 0.01, nullable: true },
+    brightness: { label: 'Bright', min: 0, max: 1, step: 0.01, nullable: true },
+    guidance: { label: 'Guidance', min: 0, max: 6, step: 0.1 },
+    temperature: { label: 'Temp', min: 0, max: 3, step: 0.05 },
+};
+
+export const SCALES = [
+    { value: 'SCALE_UNSPECIFIED', label: 'Auto' },
+    { value: 'C_MAJOR_A_MINOR', label: 'C / Am' },
+    { value: 'D_FLAT_MAJOR_B_FLAT_MINOR', label: 'D♭ / B♭m' },
+    { value: 'D_MAJOR_B_MINOR', label: 'D / Bm' },
+    { value: 'E_FLAT_MAJOR_C_MINOR', label: 'E♭ / Cm' },
+    { value: 'E_MAJOR_D_FLAT_MINOR', label: 'E / C♯m' },
+    { value: 'F_MAJOR_D_MINOR', label: 'F / Dm' },
+    { value: 'G_FLAT_MAJOR_E_FLAT_MINOR', label: 'G♭ / E♭m' },
+    { value: 'G_MAJOR_E_MINOR', label: 'G / Em' },
+    { value: 'A_FLAT_MAJOR_F_MINOR', label: 'A♭ / Fm' },
+    { value: 'A_MAJOR_G_FLAT_MINOR', label: 'A / F♯m' },
+    { value: 'B_FLAT_MAJOR_G_MINOR', label: 'B♭ / Gm' },
+    { value: 'B_MAJOR_A_FLAT_MINOR', label: 'B / G♯m' },
+];
+
+const MAX_SEED = 2 ** 31 - 1;
+
+/**
+ * The config a new session starts with. `null` leaves a parameter up to the
+ * model.
+ */
+export const DEFAULT_CONFIG = {
+    bpm: null,
+    density: null,
+    brightness: null,
+    scale: 'SCALE_UNSPECIFIED',
+    guidance: 4,
+    temperature: 1.1,
+    seed: null,
+};
+
+/** The model only picks up changes to these after its context is reset. */
+export const RESET_CONTEXT_PARAMS = ['bpm', 'scale'];
+
+/**
+ * Checks a partial config and returns a copy containing only known keys.
+ * Throws if any value is out of range.
+ */
+export function validateConfig(config) {
+    if (!config || typeof config !== 'object') {
+        throw new Error('Config must be an object.');
+    }
+    const result = {};
+    for (const [key, value] of Object.entries(config)) {
+        if (key === 'scale') {
+            if (!SCALES.some(s => s.value === value)) {
+                throw new Error(`Unknown scale "${value}".`);
+            }
+            result.scale = value;
+        }
+        else if (key === 'seed') {
+            if (value !== null && (!Number.isInteger(value) || value < 0 || value > MAX_SEED)) {
+                throw new Error(`Seed must be an integer between 0 and ${MAX_SEED}.`);
+            }
+            result.seed = value;
+        }
+        else if (key in CONFIG_PARAMS) {
+            const { label, min, max, integer, nullable } = CONFIG_PARAMS[key];
+            if (value === null && nullable) {
+                result[key] = null;
+                continue;
+            }
+            if (typeof value !== 'number' || Number.isNaN(value) || value < min || value > max) {
+                throw new Error(`${label} must be a number between ${min} and ${max}.`);
+            }
+            result[key] = integer ? Math.round(value) : value;
+        }
+    }
+    return result;
+}
+
+/** Converts a config to the shape expected by `session.setMusicGenerationConfig`. */
+export function toMusicGenerationConfig(config) {
+    const result = {};
+    for (const [key, value] of Object.entries(config)) {
+        if (value === null || value === 'SCALE_UNSPECIFIED') continue;
+        result[key] = value;
+    }
+    return result;
+}
@@ -0,0 +1,135 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { matchOscPattern } from './OscCodec.js';
+
+/**
+ * Maps OSC addresses from an `OscBridge` onto the prompt grid and the music
+ * helper, and sends their state back out:
+ *
+ * - `/prompt/{id}/weight f` and `/prompt/{id}/text s`, where `{id}` is a
+ *   prompt id such as `prompt-3` or its 1-based grid position, and may be
+ *   an OSC pattern like `*` or `[1-4]`.
+ * - `/transport/play`, `/transport/pause`, `/transport/stop` and
+ *   `/transport/toggle`; `/transport/state s` is sent out.
+ * - `/scene/{n}` recalls scene n (1-based); `/scene/active i` is sent out.
+ * - `/config/{param} f`, e.g. `/config/bpm 120`; an `N` argument means auto.
+ */
+export class OscRouter {
+    constructor(bridge, pdjMidi, liveMusicHelper) {
+        this.bridge = bridge;
+        this.pdjMidi = pdjMidi;
+        this.liveMusicHelper = liveMusicHelper;
+        // Last value sent or received per address, so changes aren't echoed back.
+        this.sent = new Map();
+        // Config message being applied, `{address, value}`, so its `config-changed` isn't echoed back.
+        this.receiving = null;
+
+        bridge.addEventListener('osc-message', (e) => this.handleMessage(e.detail));
+        bridge.addEventListener('open', () => {
+            this.sent.clear();
+            this.sendState();
+        });
+        pdjMidi.addEventListener('prompts-changed', () => this.sendPrompts());
+        pdjMidi.addEventListener('scene-recalled', (e) => this.sendValue('/scene/active', { type: 'i', value: e.detail.index + 1 }));
+        liveMusicHelper.addEventListener('playback-state-changed', (e) => this.sendValue('/transport/state', e.detail));
+        liveMusicHelper.addEventListener('config-changed', (e) => this.sendConfig(e.detail));
+    }
+
+    handleMessage({ address, args }) {
+        const [, section, key, field] = address.split('/');
+        const [arg] = args;
+        if (!key) return;
+        switch (section) {
+            case 'prompt':
+                this.handlePromptMessage(key, field, arg);
+                break;
+            case 'transport':
+                this.handleTransportMessage(key);
+                break;
+            case 'scene': {
+                const scene = this.pdjMidi.scenes[Number(key) - 1];
+                if (scene) this.pdjMidi.recallScene(scene.id);
+                break;
+            }
+            case 'config':
+                // OSC floats can be NaN or infinite, which no config value accepts.
+                if (typeof arg === 'number' && !Number.isFinite(arg)) return;
+                // Only a value the helper accepts counts as received; one it adjusts is sent back.
+                this.receiving = { address, value: arg };
+                try {
+                    this.liveMusicHelper.setMusicGenerationConfig({ [key]: arg });
+                }
+                finally {
+                    this.receiving = null;
+                }
+                break;
+        }
+    }
+
+    handlePromptMessage(key, field, arg) {
+        const prompts = [...this.pdjMidi.prompts.values()]
+            .filter((p, i) => matchOscPattern(key, p.promptId) || matchOscPattern(key, String(i + 1)));
+        if (prompts.length === 0) return;
+        if (field === 'weight' && Number.isFinite(arg)) {
+            const weight = Math.max(0, Math.min(2, arg));
+            for (const { promptId } of prompts) this.sent.set(`/prompt/${promptId}/weight`, weight);
+            this.pdjMidi.cancelMorph();
+            this.pdjMidi.setWeights(Object.fromEntries(prompts.map(p => [p.promptId, weight])));
+        }
+        else if (field === 'text' && typeof arg === 'string' && arg.trim()) {
+            for (const { promptId } of prompts) {
+                this.sent.set(`/prompt/${promptId}/text`, arg);
+                this.pdjMidi.setPromptText(promptId, arg);
+            }
+        }
+    }
+
+    handleTransportMessage(command) {
+        const { playbackState } = this.liveMusicHelper;
+        const isPlaying = playbackState === 'playing' || playbackState === 'loading';
+        switch (command) {
+            case 'play':
+                if (!isPlaying) this.liveMusicHelper.play();
+                break;
+            case 'pause':
+                if (isPlaying) this.liveMusicHelper.pause();
+                break;
+            case 'stop':
+                this.liveMusicHelper.stop();
+                break;
+            case 'toggle':
+                this.liveMusicHelper.playPause();
+                break;
+        }
+    }
+
+    /** Sends everything, e.g. to a surface that just connected. */
+    sendState() {
+        this.sendPrompts();
+        this.sendConfig(this.liveMusicHelper.config);
+        this.sendValue('/transport/state', this.liveMusicHelper.playbackState);
+    }
+
+    sendPrompts() {
+        for (const { promptId, weight, text } of this.pdjMidi.prompts.values()) {
+            this.sendValue(`/prompt/${promptId}/weight`, weight);
+            this.sendValue(`/prompt/${promptId}/text`, text);
+        }
+    }
+
+    sendConfig(config) {
+        for (const [key, value] of Object.entries(config)) {
+            this.sendValue(`/config/${key}`, value);
+        }
+    }
+
+    sendValue(address, value) {
+        const plain = value?.value ?? value;
+        if (this.sent.get(address) === plain) return;
+        this.sent.set(address, plain);
+        if (this.receiving?.address === address && this.receiving.value === plain) return;
+        this.bridge.send(address, [value]);
+    }
+}
@@ -0,0 +1,81 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+/** Changes with the same merge key closer together than this, in ms, are one step. */
+const MERGE_WINDOW = 1000;
+/** Oldest steps are dropped beyond this. */
+const MAX_STEPS = 100;
+
+/**
+ * Undo/redo stacks of prompt states. Each step is the list of prompts as it
+ * was before a change, with a label such as `Weight of "Bossa Nova"`.
+ * Dispatches `history-changed` with `{undo, redo}`, the labels of each stack
+ * with the most recent first.
+ */
+export class PromptHistory extends EventTarget {
+    constructor() {
+        super();
+        // `{label, prompts, mergeKey, time}`, oldest first.
+        this.undoStack = [];
+        this.redoStack = [];
+    }
+
+    get canUndo() {
+        return this.undoStack.length > 0;
+    }
+
+    get canRedo() {
+        return this.redoStack.length > 0;
+    }
+
+    /**
+     * Records `prompts` as the state before a change. A change with the same
+     * `mergeKey` as the last one, soon after it, extends that step instead,
+     * so a drag or a turned knob undoes in one go.
+     */
+    record(label, prompts, mergeKey = null) {
+        const now = performance.now();
+        const last = this.undoStack[this.undoStack.length - 1];
+        if (mergeKey !== null && last?.mergeKey === mergeKey && now - last.time < MERGE_WINDOW && !this.canRedo) {
+            last.time = now;
+            return;
+        }
+        this.undoStack.push({ label, prompts: clonePrompts(prompts), mergeKey, time: now });
+        if (this.undoStack.length > MAX_STEPS) this.undoStack.shift();
+        this.redoStack = [];
+        this.dispatchChanged();
+    }
+
+    /** Returns the prompts to go back to, given the current ones, or null. */
+    undo(current) {
+        return this.step(this.undoStack, this.redoStack, current);
+    }
+
+    redo(current) {
+        return this.step(this.redoStack, this.undoStack, current);
+    }
+
+    step(from, to, current) {
+        const entry = from.pop();
+        if (!entry) return null;
+        to.push({ label: entry.label, prompts: clonePrompts(current), mergeKey: null, time: 0 });
+        this.dispatchChanged();
+        return clonePrompts(entry.prompts);
+    }
+
+    clear() {
+        this.undoStack = [];
+        this.redoStack = [];
+        this.dispatchChanged();
+    }
+
+    dispatchChanged() {
+        const labels = (stack) => stack.map(e => e.label).reverse();
+        this.dispatchEvent(new CustomEvent('history-changed', { detail: { undo: labels(this.undoStack), redo: labels(this.redoStack) } }));
+    }
+}
+
+function clonePrompts(prompts) {
+    return [...prompts].map(p => ({ ...p, mapping: p.mapping && { ...p.mapping } }));
+}
@@ -0,0 +1,96 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+export const MORPH_CURVES = [
+    { value: 'linear', label: 'Linear' },
+    { value: 'equal-power', label: 'Equal power' },
+    { value: 'exponential', label: 'Exponential' },
+];
+
+/** Steepness of the exponential curve. */
+const EXP_K = 4;
+
+/**
+ * Maps morph progress `t` in [0, 1] to interpolation progress. Rising and
+ * falling weights use mirrored shapes so equal-power keeps the summed power
+ * of a crossfade constant.
+ */
+function shape(curve, t, rising) {
+    switch (curve) {
+        case 'equal-power':
+            return rising ? Math.sin(t * Math.PI / 2) : 1 - Math.cos(t * Math.PI / 2);
+        case 'exponential': {
+            const rise = (x) => (Math.exp(EXP_K * x) - 1) / (Math.exp(EXP_K) - 1);
+            return rising ? rise(t) : 1 - rise(1 - t);
+        }
+        default:
+            return t;
+    }
+}
+
+/**
+ * Interpolates between two `{promptId: weight}` snapshots. Prompts missing
+ * from `to` keep their `from` weight.
+ */
+export function interpolateWeights(from, to, t, curve = 'linear') {
+    const result = {};
+    for (const [promptId, start] of Object.entries(from)) {
+        const end = to[promptId] ?? start;
+        result[promptId] = start + (end - start) * shape(curve, t, end > start);
+    }
+    return result;
+}
+
+/** Seconds in `bars` bars of 4/4 at `bpm`. */
+export function barsToSeconds(bars, bpm) {
+    return (bars * 4 * 60) / bpm;
+}
+
+/** Animates weights from one snapshot to another, one event per frame. */
+export class PromptMorpher extends EventTarget {
+    constructor() {
+        super();
+        this.rafId = null;
+        this.from = {};
+        this.to = {};
+        this.duration = 0;
+        this.curve = 'linear';
+        this.startTime = 0;
+        this.loop = this.loop.bind(this);
+    }
+
+    get running() {
+        return this.rafId !== null;
+    }
+
+    /** Starts a morph lasting `duration` seconds, replacing any running one. */
+    start(from, to, duration, curve = 'linear') {
+        this.cancel();
+        this.from = from;
+        this.to = to;
+        this.duration = duration * 1000;
+        this.curve = curve;
+        this.startTime = performance.now();
+        this.loop();
+    }
+
+    loop() {
+        const elapsed = performance.now() - this.startTime;
+        const progress = this.duration > 0 ? Math.min(1, elapsed / this.duration) : 1;
+        const weights = interpolateWeights(this.from, this.to, progress, this.curve);
+        this.dispatchEvent(new CustomEvent('morph-frame', { detail: { weights, progress } }));
+        if (progress < 1) {
+            this.rafId = requestAnimationFrame(this.loop);
+        }
+        else {
+            this.rafId = null;
+            this.dispatchEvent(new CustomEvent('morph-end'));
+        }
+    }
+
+    cancel() {
+        if (this.rafId) cancelAnimationFrame(this.rafId);
+        this.rafId = null;
+    }
+}
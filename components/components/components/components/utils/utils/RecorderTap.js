@@ -0,0 +1,102 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+/** Frames collected in the worklet before they are posted to the page. */
+const BLOCK_FRAMES = 4096;
+
+/** Loaded from a blob URL, so the app needs no separate worklet file. */
+const PROCESSOR_SOURCE = `
+class RecorderTapProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.enabled = false;
+        this.channels = null;
+        this.length = 0;
+        this.port.onmessage = (e) => {
+            // Samples still collected are posted before pausing, and on request.
+            this.post();
+            if (e.data === 'flush') {
+                this.port.postMessage('flushed');
+                return;
+            }
+            this.enabled = e.data.enabled;
+        };
+    }
+
+    post() {
+        if (this.length === 0) return;
+        this.port.postMessage(this.channels.map(data => data.slice(0, this.length)));
+        this.length = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!this.enabled || input.length === 0) return true;
+        if (!this.channels || this.channels.length !== input.length) {
+            this.post();
+            this.channels = input.map(() => new Float32Array(${BLOCK_FRAMES}));
+        }
+        input.forEach((data, c) => this.channels[c].set(data, this.length));
+        this.length += input[0].length;
+        if (this.length + input[0].length > ${BLOCK_FRAMES}) this.post();
+        return true;
+    }
+}
+registerProcessor('recorder-tap', RecorderTapProcessor);
+`;
+
+/**
+ * Taps planar float samples off the audio graph, for recording what is
+ * actually heard, effects included. Connect the signal to `node` once
+ * `ready` resolves; `ondata` receives one array per channel while enabled.
+ */
+export class RecorderTap {
+    constructor(context) {
+        this.context = context;
+        this.node = null;
+        this.ondata = null;
+        this.flushResolvers = [];
+        this.ready = this.load();
+    }
+
+    async load() {
+        const url = URL.createObjectURL(new Blob([PROCESSOR_SOURCE], { type: 'text/javascript' }));
+        try {
+            await this.context.audioWorklet.addModule(url);
+        }
+        finally {
+            URL.revokeObjectURL(url);
+        }
+        this.node = new AudioWorkletNode(this.context, 'recorder-tap', {
+            numberOfInputs: 1,
+            numberOfOutputs: 1,
+            channelCount: 2,
+            channelCountMode: 'explicit',
+        });
+        this.node.port.onmessage = (e) => {
+            if (e.data === 'flushed') {
+                this.flushResolvers.shift()?.();
+            }
+            else {
+                this.ondata?.(e.data);
+            }
+        };
+        // The output is silent; connecting it keeps the node processing.
+        this.node.connect(this.context.destination);
+        return this.node;
+    }
+
+    setEnabled(enabled) {
+        this.node?.port.postMessage({ enabled });
+    }
+
+    /** Resolves once every sample collected so far has reached `ondata`. */
+    flush() {
+        if (!this.node) return Promise.resolve();
+        return new Promise(resolve => {
+            this.flushResolvers.push(resolve);
+            this.node.port.postMessage('flush');
+        });
+    }
+}
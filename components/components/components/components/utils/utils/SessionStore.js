@@ -0,0 +1,104 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { parseSetDocument } from './SetFile.js';
+
+const DEFAULT_SESSION_KEY = 'promptdj-session';
+const SNAPSHOTS_KEY = 'promptdj-session-snapshots';
+/** Changes are written at most this often, in ms. */
+const SAVE_DELAY = 500;
+
+/**
+ * Keeps the session in localStorage between reloads, as a set document
+ * (see `SetFile.js`) with a `midi` section for the selected device, plus a
+ * list of named snapshots. Dispatches `error` if storage is full or blocked.
+ */
+export class SessionStore extends EventTarget {
+    /** @param key Where the session is kept; snapshots are shared whatever it is. */
+    constructor(storage = localStorage, key = DEFAULT_SESSION_KEY) {
+        super();
+        this.storage = storage;
+        this.key = key;
+        this.pending = null;
+        this.saveTimeout = null;
+    }
+
+    /** The saved session, or null if there is none. Throws if it doesn't validate. */
+    load() {
+        const raw = this.storage.getItem(this.key);
+        if (!raw) return null;
+        return this.parse(JSON.parse(raw));
+    }
+
+    parse(doc) {
+        return { ...parseSetDocument(doc), midi: doc.midi ?? null };
+    }
+
+    /** Saves `doc` shortly, replacing any save still waiting. */
+    save(doc) {
+        this.pending = doc;
+        this.saveTimeout ??= setTimeout(() => this.flush(), SAVE_DELAY);
+    }
+
+    flush() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        if (!this.pending) return;
+        this.write(this.key, this.pending);
+        this.pending = null;
+    }
+
+    clear() {
+        clearTimeout(this.saveTimeout);
+        this.saveTimeout = null;
+        this.pending = null;
+        this.storage.removeItem(this.key);
+    }
+
+    /** `{name, savedAt}` of each named snapshot, newest first. */
+    listSnapshots() {
+        return this.readSnapshots()
+            .map(({ name, savedAt }) => ({ name, savedAt }))
+            .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+    }
+
+    /** Saves `doc` under `name`, replacing a snapshot of the same name. */
+    saveSnapshot(name, doc) {
+        const snapshots = this.readSnapshots().filter(s => s.name !== name);
+        snapshots.push({ name, savedAt: new Date().toISOString(), doc });
+        return this.write(SNAPSHOTS_KEY, snapshots);
+    }
+
+    loadSnapshot(name) {
+        const snapshot = this.readSnapshots().find(s => s.name === name);
+        if (!snapshot) throw new Error(`No snapshot named "${name}".`);
+        return this.parse(snapshot.doc);
+    }
+
+    deleteSnapshot(name) {
+        this.write(SNAPSHOTS_KEY, this.readSnapshots().filter(s => s.name !== name));
+    }
+
+    readSnapshots() {
+        try {
+            const snapshots = JSON.parse(this.storage.getItem(SNAPSHOTS_KEY) ?? '[]');
+            return Array.isArray(snapshots) ? snapshots : [];
+        }
+        catch (e) {
+            return [];
+        }
+    }
+
+    /** Returns whether the write went through. */
+    write(key, value) {
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+            return true;
+        }
+        catch (e) {
+            this.dispatchEvent(new CustomEvent('error', { detail: `Could not save the session: ${e.message}` }));
+            return false;
+        }
+    }
+}
@@ -0,0 +1,278 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { CONFIG_PARAMS, validateConfig } from './MusicConfig.js';
+import { MAPPING_CURVES } from './MidiMapping.js';
+import { KEY_ACTIONS } from './KeyboardMapping.js';
+import { EFFECT_PARAMS, validateEffects } from './MasterEffects.js';
+
+/**
+ * Version of the set documents written by `createSetDocument`.
+ *
+ * - 0: a bare array of prompts.
+ * - 1: `{prompts, scenes, configMidi, keyBindings}` without a version.
+ * - 2: adds `version`, `metadata` and the generation `config`, which is null
+ *   for migrated sets so loading them leaves the current config alone.
+ * - 3: adds the grid `layout`, `{columns, rows}`, which is null for migrated
+ *   sets so the grid is sized to fit.
+ * - 4: adds the master `effects`, null for migrated sets so loading them
+ *   leaves the current effects alone, and their MIDI mapping `effectsMidi`.
+ */
+export const SET_FILE_VERSION = 4;
+
+/** Smallest and largest number of grid columns or rows. */
+export const MIN_GRID_SIZE = 1;
+export const MAX_GRID_SIZE = 8;
+
+const MAX_WEIGHT = 2;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+/** Builds the document written by "Save Set". */
+export function createSetDocument({ name = 'PromptDJ set', layout, prompts, scenes, config, configMidi, keyBindings, effects, effectsMidi }) {
+    return {
+        version: SET_FILE_VERSION,
+        metadata: { name, savedAt: new Date().toISOString() },
+        layout,
+        prompts: [...prompts],
+        scenes,
+        config,
+        configMidi,
+        keyBindings,
+        effects,
+        effectsMidi,
+    };
+}
+
+/** Brings an older set document up to `SET_FILE_VERSION`. */
+export function migrateSetDocument(raw) {
+    if (Array.isArray(raw)) {
+        return migrateSetDocument({ prompts: raw });
+    }
+    if (!raw || typeof raw !== 'object') {
+        throw new Error('A set file must be a JSON object.');
+    }
+    const version = raw.version ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+        fail('version', 'must be a positive integer.');
+    }
+    if (version > SET_FILE_VERSION) {
+        throw new Error(`This set was saved by a newer version (${version}); the newest supported is ${SET_FILE_VERSION}.`);
+    }
+    if (version === 1) {
+        return migrateSetDocument({
+            version: 2,
+            metadata: {},
+            prompts: raw.prompts,
+            scenes: raw.scenes ?? [],
+            config: null,
+            configMidi: raw.configMidi ?? {},
+            keyBindings: raw.keyBindings ?? null,
+        });
+    }
+    if (version === 2) {
+        return migrateSetDocument({ ...raw, version: 3, layout: null });
+    }
+    if (version === 3) {
+        return { ...raw, version: SET_FILE_VERSION, effects: null, effectsMidi: {} };
+    }
+    return raw;
+}
+
+/**
+ * Migrates and validates a parsed set file. Returns the document, or throws
+ * an error naming the first bad field, e.g. `prompts[3].weight must be a
+ * number between 0 and 2.`
+ */
+export function parseSetDocument(raw) {
+    const doc = migrateSetDocument(raw);
+    if (doc.metadata !== undefined && !isObject(doc.metadata)) fail('metadata', 'must be an object.');
+    if (doc.metadata?.name !== undefined && typeof doc.metadata.name !== 'string') fail('metadata.name', 'must be a string.');
+    validatePrompts(doc.prompts, 'prompts');
+    if (doc.prompts.length > MAX_GRID_SIZE ** 2) fail('prompts', `must not have more than ${MAX_GRID_SIZE ** 2} entries.`);
+    if (doc.layout !== null) {
+        if (!isObject(doc.layout)) fail('layout', 'must be an object or null.');
+        for (const key of ['columns', 'rows']) {
+            const size = doc.layout[key];
+            if (!(Number.isInteger(size) && size >= MIN_GRID_SIZE && size <= MAX_GRID_SIZE)) {
+                fail(`layout.${key}`, `must be an integer between ${MIN_GRID_SIZE} and ${MAX_GRID_SIZE}.`);
+            }
+        }
+        if (doc.prompts.length > doc.layout.columns * doc.layout.rows) {
+            fail('layout', `has room for ${doc.layout.columns * doc.layout.rows} prompts, but the set has ${doc.prompts.length}.`);
+        }
+    }
+    if (!Array.isArray(doc.scenes)) fail('scenes', 'must be an array.');
+    const sceneIds = new Set();
+    const sceneNotes = new Set();
+    doc.scenes.forEach((scene, i) => {
+        const path = `scenes[${i}]`;
+        if (!isObject(scene)) fail(path, 'must be an object.');
+        if (typeof scene.id !== 'string' || !scene.id) fail(`${path}.id`, 'must be a non-empty string.');
+        if (sceneIds.has(scene.id)) fail(`${path}.id`, `duplicates scene "${scene.id}".`);
+        sceneIds.add(scene.id);
+        if (!isMidiByte(scene.note)) fail(`${path}.note`, 'must be an integer between 0 and 127.');
+        if (sceneNotes.has(scene.note)) fail(`${path}.note`, `is already used by another scene.`);
+        sceneNotes.add(scene.note);
+        if (!COLOR_PATTERN.test(scene.color)) fail(`${path}.color`, 'must be a color like #ff25f6.');
+        validatePrompts(scene.prompts, `${path}.prompts`);
+    });
+    if (doc.config !== null) {
+        if (!isObject(doc.config)) fail('config', 'must be an object or null.');
+        try {
+            validateConfig(doc.config);
+        }
+        catch (e) {
+            fail('config', `is invalid: ${e.message}`);
+        }
+    }
+    if (!isObject(doc.configMidi)) fail('configMidi', 'must be an object.');
+    for (const [key, control] of Object.entries(doc.configMidi)) {
+        if (!(key in CONFIG_PARAMS)) fail(`configMidi.${key}`, 'is not a config parameter.');
+        validateControl(control, `configMidi.${key}`, { unmapped: true });
+    }
+    if (doc.effects !== null) {
+        if (!isObject(doc.effects)) fail('effects', 'must be an object or null.');
+        try {
+            validateEffects(doc.effects);
+        }
+        catch (e) {
+            fail('effects', `is invalid: ${e.message}`);
+        }
+    }
+    if (!isObject(doc.effectsMidi)) fail('effectsMidi', 'must be an object.');
+    for (const [key, control] of Object.entries(doc.effectsMidi)) {
+        if (!(key in EFFECT_PARAMS)) fail(`effectsMidi.${key}`, 'is not an effect parameter.');
+        validateControl(control, `effectsMidi.${key}`, { unmapped: true });
+    }
+    if (doc.keyBindings !== null && doc.keyBindings !== undefined) {
+        if (!Array.isArray(doc.keyBindings)) fail('keyBindings', 'must be an array.');
+        const actions = KEY_ACTIONS.map(a => a.value);
+        doc.keyBindings.forEach((binding, i) => {
+            const path = `keyBindings[${i}]`;
+            if (typeof binding?.code !== 'string') fail(`${path}.code`, 'must be a string.');
+            if (!actions.includes(binding.action)) fail(`${path}.action`, `must be one of ${actions.join(', ')}.`);
+            if (binding.target !== null && !(Number.isInteger(binding.target) && binding.target >= 0)) {
+                fail(`${path}.target`, 'must be null or a non-negative integer.');
+            }
+        });
+    }
+    return doc;
+}
+
+/**
+ * Merges a loaded set into the current one. Prompts with the same id take
+ * the loaded values, new ones are appended on free CCs, and loaded scenes
+ * are appended on free notes. The current config, effects and bindings are
+ * kept. Throws if the merged prompts wouldn't fit the largest grid, or if
+ * no CC or note is left for an item.
+ */
+export function mergeSetDocuments(current, loaded) {
+    const prompts = new Map(current.prompts.map(p => [p.promptId, p]));
+    const count = prompts.size + loaded.prompts.filter(p => !prompts.has(p.promptId)).length;
+    if (count > MAX_GRID_SIZE ** 2) {
+        throw new Error(`The merged set would have ${count} prompts, but the grid holds at most ${MAX_GRID_SIZE ** 2}.`);
+    }
+    const usedCcs = new Set(current.prompts.map(controlKey));
+    for (const prompt of loaded.prompts) {
+        if (prompts.has(prompt.promptId)) {
+            prompts.set(prompt.promptId, { ...prompts.get(prompt.promptId), ...prompt });
+            continue;
+        }
+        const cc = findFree(prompt.cc, cc => !usedCcs.has(controlKey({ ...prompt, cc })));
+        if (cc === null) throw new Error(`No CC is left for prompt "${prompt.text}".`);
+        usedCcs.add(controlKey({ ...prompt, cc }));
+        prompts.set(prompt.promptId, { ...prompt, cc });
+    }
+    const sceneIds = new Set(current.scenes.map(s => s.id));
+    const usedNotes = new Set(current.scenes.map(s => s.note));
+    const scenes = [...current.scenes];
+    for (const [i, scene] of loaded.scenes.entries()) {
+        const note = findFree(scene.note, note => !usedNotes.has(note));
+        if (note === null) throw new Error(`No note is left for scenes[${i}].`);
+        usedNotes.add(note);
+        scenes.push({ ...scene, id: sceneIds.has(scene.id) ? crypto.randomUUID() : scene.id, note });
+    }
+    // A null layout lets the grid grow to fit the merged prompts.
+    return { ...current, layout: null, prompts: [...prompts.values()], scenes };
+}
+
+/** The first MIDI byte from `start` up, wrapping around, that `isFree`, or null if there is none. */
+function findFree(start, isFree) {
+    for (let i = 0; i < 128; i++) {
+        const value = (start + i) % 128;
+        if (isFree(value)) return value;
+    }
+    return null;
+}
+
+function validatePrompts(prompts, path) {
+    if (!Array.isArray(prompts) || prompts.length === 0) fail(path, 'must be a non-empty array.');
+    const ids = new Set();
+    const controls = new Map();
+    prompts.forEach((prompt, i) => {
+        const itemPath = `${path}[${i}]`;
+        if (!isObject(prompt)) fail(itemPath, 'must be an object.');
+        if (typeof prompt.promptId !== 'string' || !prompt.promptId) fail(`${itemPath}.promptId`, 'must be a non-empty string.');
+        if (ids.has(prompt.promptId)) fail(`${itemPath}.promptId`, `duplicates prompt "${prompt.promptId}".`);
+        ids.add(prompt.promptId);
+        if (typeof prompt.text !== 'string' || !prompt.text.trim()) fail(`${itemPath}.text`, 'must be a non-empty string.');
+        if (typeof prompt.weight !== 'number' || !(prompt.weight >= 0 && prompt.weight <= MAX_WEIGHT)) {
+            fail(`${itemPath}.weight`, `must be a number between 0 and ${MAX_WEIGHT}.`);
+        }
+        if (!COLOR_PATTERN.test(prompt.color)) fail(`${itemPath}.color`, 'must be a color like #ff25f6.');
+        validateControl(prompt, itemPath);
+        const key = controlKey(prompt);
+        if (controls.has(key)) fail(`${itemPath}.cc`, `${prompt.cc} is already used by ${path}[${controls.get(key)}].`);
+        controls.set(key, i);
+    });
+}
+
+/**
+ * Checks the `{cc, channel, deviceId, mapping}` MIDI assignment of a prompt
+ * or knob. Knobs may be `unmapped`, with a null CC, until they are learned.
+ */
+function validateControl(control, path, { unmapped = false } = {}) {
+    if (!isObject(control)) fail(path, 'must be an object.');
+    if (unmapped) {
+        if (control.cc !== null && !isMidiByte(control.cc)) fail(`${path}.cc`, 'must be null or an integer between 0 and 127.');
+    }
+    else if (!isMidiByte(control.cc)) {
+        fail(`${path}.cc`, 'must be an integer between 0 and 127.');
+    }
+    if (control.channel != null && !(Number.isInteger(control.channel) && control.channel >= 0 && control.channel <= 15)) {
+        fail(`${path}.channel`, 'must be null or an integer between 0 and 15.');
+    }
+    if (control.deviceId != null && typeof control.deviceId !== 'string') fail(`${path}.deviceId`, 'must be null or a string.');
+    const { mapping } = control;
+    if (mapping === undefined || mapping === null) return;
+    if (!isObject(mapping)) fail(`${path}.mapping`, 'must be an object.');
+    for (const key of ['min', 'max']) {
+        if (mapping[key] !== undefined && !(typeof mapping[key] === 'number' && mapping[key] >= 0 && mapping[key] <= 1)) {
+            fail(`${path}.mapping.${key}`, 'must be a number between 0 and 1.');
+        }
+    }
+    if (mapping.curve !== undefined && !MAPPING_CURVES.some(c => c.value === mapping.curve)) {
+        fail(`${path}.mapping.curve`, `must be one of ${MAPPING_CURVES.map(c => c.value).join(', ')}.`);
+    }
+    for (const key of ['invert', 'softTakeover']) {
+        if (mapping[key] !== undefined && typeof mapping[key] !== 'boolean') fail(`${path}.mapping.${key}`, 'must be true or false.');
+    }
+}
+
+/** Two controls clash if they answer to the same CC from the same channel and device. */
+function controlKey({ cc, channel, deviceId }) {
+    return `${deviceId ?? ''}:${channel ?? ''}:${cc}`;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isMidiByte(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 127;
+}
+
+function fail(path, message) {
+    throw new Error(`${path} ${message}`);
+}
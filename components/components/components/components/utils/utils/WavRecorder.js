@@ -0,0 +1,147 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+/**
+ * Collects decoded audio as integer PCM and wraps it in a WAV file. Buffers
+ * are converted as they arrive so only the encoded bytes are kept in memory.
+ */
+export class WavRecorder {
+    constructor({ sampleRate = 48000, numChannels = 2, bitDepth = 16 } = {}) {
+        if (bitDepth !== 16 && bitDepth !== 24) {
+            throw new Error(`Unsupported WAV bit depth: ${bitDepth}.`);
+        }
+        this.sampleRate = sampleRate;
+        this.numChannels = numChannels;
+        this.bitDepth = bitDepth;
+        this.parts = [];
+        this.frameCount = 0;
+    }
+
+    /** Number of seconds recorded so far. */
+    get duration() {
+        return this.frameCount / this.sampleRate;
+    }
+
+    /** Appends an `AudioBuffer` (or anything with `getChannelData`). */
+    append(audioBuffer) {
+        const channels = [];
+        for (let c = 0; c < this.numChannels; c++) {
+            channels.push(audioBuffer.getChannelData(Math.min(c, audioBuffer.numberOfChannels - 1)));
+        }
+        this.appendChannels(channels);
+    }
+
+    /** Appends planar float samples, one array per channel. */
+    appendChannels(channels) {
+        const frames = channels[0].length;
+        const bytesPerSample = this.bitDepth / 8;
+        const bytes = new Uint8Array(frames * this.numChannels * bytesPerSample);
+        const view = new DataView(bytes.buffer);
+        let offset = 0;
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < this.numChannels; c++) {
+                const sample = Math.max(-1, Math.min(1, channels[c][i]));
+                if (this.bitDepth === 16) {
+                    view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                }
+                else {
+                    const value = Math.round(sample < 0 ? sample * 0x800000 : sample * 0x7fffff);
+                    view.setUint8(offset, value & 0xff);
+                    view.setUint8(offset + 1, (value >> 8) & 0xff);
+                    view.setUint8(offset + 2, (value >> 16) & 0xff);
+                }
+                offset += bytesPerSample;
+            }
+        }
+        this.parts.push(bytes);
+        this.frameCount += frames;
+    }
+
+    /**
+     * Returns everything recorded so far as a WAV blob. `markers`, `{time,
+     * label}` with `time` in seconds, are written as cue points with labels,
+     * which most audio editors show as markers.
+     */
+    finish(markers = []) {
+        const dataLength = this.frameCount * this.numChannels * (this.bitDepth / 8);
+        const cueChunks = markers.length > 0 ? createCueChunks(markers, this.sampleRate, this.frameCount) : [];
+        const header = createWavHeader({
+            sampleRate: this.sampleRate,
+            numChannels: this.numChannels,
+            bitDepth: this.bitDepth,
+            dataLength,
+            extraLength: cueChunks.reduce((sum, chunk) => sum + chunk.byteLength, 0),
+        });
+        return new Blob([header, ...this.parts, ...cueChunks], { type: 'audio/wav' });
+    }
+}
+
+/** `extraLength` is the size of the chunks following the data chunk. */
+function createWavHeader({ sampleRate, numChannels, bitDepth, dataLength, extraLength = 0 }) {
+    const blockAlign = numChannels * (bitDepth / 8);
+    const view = new DataView(new ArrayBuffer(44));
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataLength + extraLength, true);
+    writeString(view, 8, 'WAVE');
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true); // PCM
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataLength, true);
+    return view.buffer;
+}
+
+/** A `cue ` chunk and a `LIST` chunk of `labl` entries naming each cue point. */
+function createCueChunks(markers, sampleRate, frameCount) {
+    const cue = new DataView(new ArrayBuffer(12 + 24 * markers.length));
+    writeString(cue, 0, 'cue ');
+    cue.setUint32(4, 4 + 24 * markers.length, true);
+    cue.setUint32(8, markers.length, true);
+    markers.forEach(({ time }, i) => {
+        const offset = 12 + 24 * i;
+        const position = Math.min(frameCount, Math.round(time * sampleRate));
+        cue.setUint32(offset, i + 1, true); // cue point id
+        cue.setUint32(offset + 4, position, true);
+        writeString(cue, offset + 8, 'data');
+        cue.setUint32(offset + 12, 0, true);
+        cue.setUint32(offset + 16, 0, true);
+        cue.setUint32(offset + 20, position, true);
+    });
+    const encoder = new TextEncoder();
+    const labels = markers.map(({ label }, i) => {
+        const text = encoder.encode(label);
+        // Id, text and a terminating zero, padded to an even length.
+        const size = 4 + text.length + 1;
+        const chunk = new Uint8Array(8 + size + (size % 2));
+        const view = new DataView(chunk.buffer);
+        writeString(view, 0, 'labl');
+        view.setUint32(4, size, true);
+        view.setUint32(8, i + 1, true);
+        chunk.set(text, 12);
+        return chunk;
+    });
+    const listLength = 4 + labels.reduce((sum, chunk) => sum + chunk.byteLength, 0);
+    const list = new Uint8Array(8 + listLength);
+    const listView = new DataView(list.buffer);
+    writeString(listView, 0, 'LIST');
+    listView.setUint32(4, listLength, true);
+    writeString(listView, 8, 'adtl');
+    let offset = 12;
+    for (const chunk of labels) {
+        list.set(chunk, offset);
+        offset += chunk.byteLength;
+    }
+    return [cue.buffer, list.buffer];
+}
+
+function writeString(view, offset, str) {
+    for (let i = 0; i < str.length; i++) {
+        view.setUint8(offset + i, str.charCodeAt(i));
+    }
+}
@@ -0,0 +1,135 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+/** Device ids of gamepad controls start with this, to tell them from MIDI ports. */
+export const GAMEPAD_DEVICE_PREFIX = 'gamepad:';
+/** Axis n is reported as CC n, button n as CC `GAMEPAD_BUTTON_CC + n`. */
+export const GAMEPAD_BUTTON_CC = 32;
+
+/** Stick travel around the center, and trigger travel from rest, that is ignored. */
+const DEFAULT_DEADZONE = 0.12;
+
+export function isGamepadDevice(deviceId) {
+    return typeof deviceId === 'string' && deviceId.startsWith(GAMEPAD_DEVICE_PREFIX);
+}
+
+/** Ignores `|x| < deadzone` and rescales the rest so the full range is still reachable. */
+function applyDeadzone(x, deadzone) {
+    const magnitude = Math.abs(x);
+    if (magnitude < deadzone) return 0;
+    return Math.sign(x) * (magnitude - deadzone) / (1 - deadzone);
+}
+
+/**
+ * Polls the Gamepad API and dispatches the axes and buttons of every
+ * connected gamepad as `cc-message` events shaped like `MidiDispatcher`'s,
+ * so they can be learned like any CC. The `deviceId` is
+ * `GAMEPAD_DEVICE_PREFIX` plus the pad's id and the `channel` is null, since
+ * the browser may give a pad another slot when it is plugged back in; that
+ * way learned controls keep working. Identical pads share an id, so they
+ * drive the same controls.
+ *
+ * Sticks cover 0-127 with 64 at rest. Analog triggers and buttons go from
+ * 0 at rest to 127 fully pressed. Messages are only sent on change.
+ *
+ * Also dispatches `gamepads-changed` with `{gamepads, connected}` when a pad
+ * comes or goes, `connected` being the name of the new pad or null.
+ */
+export class GamepadDispatcher extends EventTarget {
+    constructor({ deadzone = DEFAULT_DEADZONE } = {}) {
+        super();
+        this.deadzone = deadzone;
+        // Last value sent per `${index}:${cc}`.
+        this.values = new Map();
+        this.frame = null;
+        this.poll = this.poll.bind(this);
+        this.handleConnected = this.handleConnected.bind(this);
+        this.handleDisconnected = this.handleDisconnected.bind(this);
+    }
+
+    start() {
+        if (!('getGamepads' in navigator)) return;
+        window.addEventListener('gamepadconnected', this.handleConnected);
+        window.addEventListener('gamepaddisconnected', this.handleDisconnected);
+        // Pads already in use before the page loaded don't fire `gamepadconnected` again.
+        if (this.getGamepads().length > 0) this.startPolling();
+    }
+
+    stop() {
+        window.removeEventListener('gamepadconnected', this.handleConnected);
+        window.removeEventListener('gamepaddisconnected', this.handleDisconnected);
+        this.stopPolling();
+    }
+
+    getGamepads() {
+        if (!('getGamepads' in navigator)) return [];
+        return [...navigator.getGamepads()].filter(pad => pad?.connected);
+    }
+
+    handleConnected(e) {
+        this.seed(e.gamepad);
+        this.startPolling();
+        this.dispatchGamepadsChanged(e.gamepad.id);
+    }
+
+    handleDisconnected(e) {
+        const { index } = e.gamepad;
+        for (const key of [...this.values.keys()]) {
+            if (key.startsWith(`${index}:`)) this.values.delete(key);
+        }
+        if (this.getGamepads().length === 0) this.stopPolling();
+        this.dispatchGamepadsChanged(null);
+    }
+
+    dispatchGamepadsChanged(connected) {
+        this.dispatchEvent(new CustomEvent('gamepads-changed', {
+            detail: { gamepads: this.getGamepads().map(pad => pad.id), connected },
+        }));
+    }
+
+    startPolling() {
+        this.frame ??= requestAnimationFrame(this.poll);
+    }
+
+    stopPolling() {
+        if (this.frame !== null) cancelAnimationFrame(this.frame);
+        this.frame = null;
+    }
+
+    /** Takes a pad's resting state as the baseline, so connecting it doesn't fire every control. */
+    seed(gamepad) {
+        this.readControls(gamepad, (cc, value) => this.values.set(`${gamepad.index}:${cc}`, value));
+    }
+
+    poll() {
+        for (const gamepad of this.getGamepads()) {
+            this.readControls(gamepad, (cc, value) => {
+                const key = `${gamepad.index}:${cc}`;
+                if (!this.values.has(key)) {
+                    this.values.set(key, value);
+                    return;
+                }
+                if (this.values.get(key) === value) return;
+                this.values.set(key, value);
+                this.dispatchEvent(new CustomEvent('cc-message', {
+                    detail: { cc, value, channel: null, deviceId: `${GAMEPAD_DEVICE_PREFIX}${gamepad.id}` },
+                }));
+            });
+        }
+        this.frame = requestAnimationFrame(this.poll);
+    }
+
+    /** Calls `report(cc, value)` with a 0-127 value for each axis and button. */
+    readControls(gamepad, report) {
+        gamepad.axes.forEach((x, i) => {
+            const value = (applyDeadzone(x, this.deadzone) + 1) / 2;
+            report(i, Math.round(value * 127));
+        });
+        gamepad.buttons.forEach((button, i) => {
+            // Analog triggers report anything from 0 to 1; some pads leave `value` at 0 for pressed digital buttons.
+            const raw = button.pressed && button.value === 0 ? 1 : button.value;
+            report(GAMEPAD_BUTTON_CC + i, Math.round(applyDeadzone(raw, this.deadzone) * 127));
+        });
+    }
+}
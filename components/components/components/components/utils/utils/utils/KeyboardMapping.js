@@ -0,0 +1,63 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+/** How much one press of a nudge key moves a prompt's weight (0-2). */
+export const NUDGE_STEP = 0.1;
+
+export const KEY_ACTIONS = [
+    { value: 'nudge-up', label: 'Weight up' },
+    { value: 'nudge-down', label: 'Weight down' },
+    { value: 'solo', label: 'Solo (hold)' },
+    { value: 'scene', label: 'Scene' },
+    { value: 'play-pause', label: 'Play / pause' },
+    { value: 'record', label: 'Record' },
+];
+
+const UP_KEYS = ['KeyA', 'KeyS', 'KeyD', 'KeyF', 'KeyG', 'KeyH', 'KeyJ', 'KeyK'];
+const DOWN_KEYS = ['KeyZ', 'KeyX', 'KeyC', 'KeyV', 'KeyB', 'KeyN', 'KeyM', 'Comma'];
+
+/**
+ * Bindings are `{code, action, target}`. `code` is a `KeyboardEvent.code`,
+ * so the layout stays put on AZERTY and friends, optionally prefixed with
+ * `Shift+`. `target` is a prompt's position in the grid, or a scene's index.
+ * By default the home row nudges the first eight prompts up, the row below
+ * nudges them down and Shift plus the home row key solos them.
+ */
+export const DEFAULT_KEY_BINDINGS = [
+    ...UP_KEYS.map((code, target) => ({ code, action: 'nudge-up', target })),
+    ...DOWN_KEYS.map((code, target) => ({ code, action: 'nudge-down', target })),
+    ...UP_KEYS.map((code, target) => ({ code: `Shift+${code}`, action: 'solo', target })),
+    ...['1', '2', '3', '4', '5', '6', '7', '8', '9', '0'].map((digit, target) => ({ code: `Digit${digit}`, action: 'scene', target })),
+    { code: 'Space', action: 'play-pause', target: null },
+    { code: 'KeyR', action: 'record', target: null },
+];
+
+const MODIFIER_CODES = ['ShiftLeft', 'ShiftRight', 'ControlLeft', 'ControlRight', 'AltLeft', 'AltRight', 'MetaLeft', 'MetaRight'];
+
+/**
+ * The binding code for a keydown, or null for bare modifiers and for chords
+ * with Ctrl, Alt or Meta, which are left to the browser.
+ */
+export function eventToCode(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey || MODIFIER_CODES.includes(e.code)) return null;
+    return e.shiftKey ? `Shift+${e.code}` : e.code;
+}
+
+/** A short label for a binding code, e.g. 'Shift+KeyA' becomes '⇧A'. */
+export function describeKey(code) {
+    const shift = code.startsWith('Shift+');
+    const base = shift ? code.slice('Shift+'.length) : code;
+    const names = { Comma: ',', Period: '.', Slash: '/', Semicolon: ';', Quote: "'", BracketLeft: '[', BracketRight: ']', Minus: '-', Equal: '=' };
+    const label = names[base] ?? base.replace(/^(Key|Digit|Numpad)/, '');
+    return `${shift ? '⇧' : ''}${label}`;
+}
+
+/** Keeps only well-formed bindings, e.g. from a loaded set file. */
+export function sanitizeKeyBindings(bindings) {
+    if (!Array.isArray(bindings)) return DEFAULT_KEY_BINDINGS.map(b => ({ ...b }));
+    const actions = KEY_ACTIONS.map(a => a.value);
+    return bindings
+        .filter(b => typeof b?.code === 'string' && actions.includes(b.action))
+        .map(({ code, action, target }) => ({ code, action, target: Number.isInteger(target) ? target : null }));
+}
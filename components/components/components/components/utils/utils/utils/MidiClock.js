@@ -0,0 +1,150 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+const TICKS_PER_BEAT = 24;
+/** Tick intervals kept for the tempo estimate: two beats. */
+const INTERVAL_WINDOW = 2 * TICKS_PER_BEAT;
+/** Ticks further apart than this (ms) mean the clock stopped; start over. */
+const MAX_TICK_INTERVAL = 250;
+/** Weight of each new estimate in the smoothed tempo. */
+const SMOOTHING = 0.1;
+/** The reported tempo only moves once the estimate drifts this far (BPM). */
+const HYSTERESIS = 0.6;
+/**
+ * How long (ms) a new tempo must hold before it is reported, so a tempo ramp
+ * is reported once it ends rather than at every step.
+ */
+const SETTLE_TIME = 1000;
+/** How often (ms) the master schedules ticks, and how far ahead. */
+const SCHEDULE_INTERVAL = 25;
+const LOOKAHEAD = 100;
+
+export const CLOCK_MODES = [
+    { value: 'off', label: 'Clock off' },
+    { value: 'follow', label: 'Clock in' },
+    { value: 'master', label: 'Clock out' },
+];
+
+/**
+ * Follows incoming MIDI clock, or acts as clock master through a
+ * `MidiDispatcher`. Following dispatches `tempo-changed` with `{bpm}`, in
+ * whole BPM once the tempo has settled, and `transport` with `{state}`
+ * ('start', 'continue' or 'stop').
+ */
+export class MidiClock extends EventTarget {
+    constructor(midiDispatcher) {
+        super();
+        this.midiDispatcher = midiDispatcher;
+        this.mode = 'off';
+        this.bpm = null;
+        this.bpmEstimate = null;
+        // Tempo waiting to settle before it is reported, and since when (ms).
+        this.pendingBpm = null;
+        this.pendingSince = 0;
+        this.lastTickTime = null;
+        this.intervals = [];
+        this.masterBpm = 120;
+        this.masterRunning = false;
+        this.masterTimer = null;
+        this.nextTickTime = 0;
+        midiDispatcher.addEventListener('clock', (e) => {
+            if (this.mode === 'follow') this.handleTick(e.detail.time);
+        });
+        midiDispatcher.addEventListener('transport', (e) => {
+            if (this.mode !== 'follow') return;
+            this.dispatchEvent(new CustomEvent('transport', { detail: e.detail }));
+        });
+    }
+
+    setMode(mode) {
+        if (mode === this.mode) return;
+        if (this.mode === 'master') this.stopMasterClock();
+        this.mode = mode;
+        this.resetEstimate();
+        if (mode === 'master') this.startMasterClock();
+    }
+
+    resetEstimate() {
+        this.bpm = null;
+        this.bpmEstimate = null;
+        this.pendingBpm = null;
+        this.lastTickTime = null;
+        this.intervals = [];
+    }
+
+    handleTick(time) {
+        if (this.lastTickTime !== null) {
+            const interval = time - this.lastTickTime;
+            if (interval > MAX_TICK_INTERVAL) {
+                this.intervals = [];
+            }
+            else if (interval > 0) {
+                this.intervals.push(interval);
+                if (this.intervals.length > INTERVAL_WINDOW) this.intervals.shift();
+            }
+        }
+        this.lastTickTime = time;
+        if (this.intervals.length < TICKS_PER_BEAT) return;
+
+        // The mean of the middle half ignores ticks delayed by USB or the event loop.
+        const sorted = [...this.intervals].sort((a, b) => a - b);
+        const quarter = Math.floor(sorted.length / 4);
+        const middle = sorted.slice(quarter, sorted.length - quarter);
+        const interval = middle.reduce((sum, i) => sum + i, 0) / middle.length;
+        const bpm = 60000 / (interval * TICKS_PER_BEAT);
+        this.bpmEstimate = this.bpmEstimate === null ? bpm : this.bpmEstimate + (bpm - this.bpmEstimate) * SMOOTHING;
+
+        if (this.bpm !== null && Math.abs(this.bpmEstimate - this.bpm) <= HYSTERESIS) {
+            this.pendingBpm = null;
+            return;
+        }
+        const rounded = Math.round(this.bpmEstimate);
+        if (rounded !== this.pendingBpm) {
+            this.pendingBpm = rounded;
+            this.pendingSince = time;
+        }
+        if (time - this.pendingSince >= SETTLE_TIME) {
+            this.bpm = rounded;
+            this.pendingBpm = null;
+            this.dispatchEvent(new CustomEvent('tempo-changed', { detail: { bpm: this.bpm } }));
+        }
+    }
+
+    setMasterTempo(bpm) {
+        this.masterBpm = bpm;
+    }
+
+    /** Sends Start or Stop when playback starts or stops, if we are master. */
+    setMasterRunning(running) {
+        if (this.mode !== 'master' || running === this.masterRunning) return;
+        this.masterRunning = running;
+        this.midiDispatcher.send([running ? 0xfa : 0xfc]);
+    }
+
+    startMasterClock() {
+        this.nextTickTime = performance.now();
+        this.masterTimer = setInterval(() => this.scheduleTicks(), SCHEDULE_INTERVAL);
+        this.scheduleTicks();
+    }
+
+    stopMasterClock() {
+        clearInterval(this.masterTimer);
+        this.masterTimer = null;
+        if (this.masterRunning) this.midiDispatcher.send([0xfc]);
+        this.masterRunning = false;
+    }
+
+    /** Queues timestamped ticks up to `LOOKAHEAD` ms ahead so timer jitter doesn't reach the wire. */
+    scheduleTicks() {
+        const now = performance.now();
+        const horizon = now + LOOKAHEAD;
+        const interval = 60000 / (this.masterBpm * TICKS_PER_BEAT);
+        // After the tab was throttled, skip the ticks we missed instead of bursting them.
+        if (this.nextTickTime < now - interval) this.nextTickTime = now;
+        while (this.nextTickTime < horizon) {
+            this.midiDispatcher.send([0xf8], this.nextTickTime);
+            this.nextTickTime += interval;
+        }
+    }
+}
@@ -2,17 +2,45 @@
  * @license
  * SPDX-License-Identifier: Apache-2.0
 */
-/** Simple class for dispatching MIDI CC messages as events. */
+/** Minimum time between two feedback flushes to the output, in ms. */
+const FEEDBACK_INTERVAL = 20;
+/** A CC seen in one direction is not passed back the other way within this window, in ms. */
+const ECHO_WINDOW = 150;
+
+/**
+ * Simple class for dispatching MIDI messages from the active input as
+ * events, and for sending feedback to the output of the same device.
+ * Every event detail carries the `channel` (0-15) and `deviceId`.
+ *
+ * - `cc-message`: `{cc, value}` for every Control Change.
+ * - `cc14-message`: `{cc, value}` with a 14-bit value (0-16383) once the LSB
+ *   (CC 32-63) of a CC 0-31 MSB/LSB pair arrives.
+ * - `note-on` / `note-off`: `{note, velocity}`.
+ * - `program-change`: `{program}`.
+ * - `pitch-bend`: `{value}` from -8192 to 8191.
+ * - `channel-pressure`: `{pressure}`.
+ * - `clock`: `{time}`, one per MIDI clock tick (24 per beat), without a channel.
+ * - `transport`: `{state}`, 'start', 'continue' or 'stop', without a channel.
+ * - `inputs-changed`: `{inputIds, activeMidiInputId}` when devices come and go.
+ */
 export class MidiDispatcher extends EventTarget {
     constructor() {
         super();
         this.access = null;
         this.activeMidiInputId = null;
+        // Last MSB per `${deviceId}:${channel}:${cc}`, waiting for its LSB.
+        this.ccMsb = new Map();
+        // `{value, time}` per `${channel}:${cc}`, for loop suppression.
+        this.sentCcs = new Map();
+        this.receivedCcs = new Map();
+        this.pendingCcs = new Map();
+        this.sentNotes = new Map();
+        this.flushTimeout = null;
     }
 
     async getMidiAccess() {
         if (this.access) {
-            return [...this.access.inputs.keys()];
+            return this.getConnectedInputIds();
         }
         if (!navigator.requestMIDIAccess) {
             throw new Error('Your browser does not support the Web MIDI API. For a list of compatible browsers, see https://caniuse.com/midi');
@@ -23,33 +51,174 @@ export class MidiDispatcher extends EventTarget {
             throw new Error('Unable to acquire MIDI access.');
         }
 
-        const inputIds = [...this.access.inputs.keys()];
-        if (inputIds.length > 0 && this.activeMidiInputId === null) {
-            this.activeMidiInputId = inputIds[0];
+        // Keep a restored selection if that device is plugged in.
+        const inputIds = this.getConnectedInputIds();
+        if (!inputIds.includes(this.activeMidiInputId)) {
+            this.activeMidiInputId = inputIds[0] ?? null;
         }
 
         for (const input of this.access.inputs.values()) {
-            input.onmidimessage = (event) => {
-                if (input.id !== this.activeMidiInputId) return;
-                
-                const { data } = event;
-                if (!data) {
-                    console.error('MIDI message has no data');
-                    return;
+            this.bindInput(input);
+        }
+        this.access.onstatechange = (event) => this.handleStateChange(event);
+        return inputIds;
+    }
+
+    bindInput(input) {
+        input.onmidimessage = (event) => {
+            if (input.id !== this.activeMidiInputId) return;
+            const { data } = event;
+            if (!data) {
+                console.error('MIDI message has no data');
+                return;
+            }
+            this.handleMessage(input.id, data, event.timeStamp);
+        };
+    }
+
+    /** Binds newly plugged-in inputs and moves off the active input if it goes away. */
+    handleStateChange(event) {
+        const { port } = event;
+        if (port.type !== 'input') return;
+        if (port.state === 'connected') {
+            this.bindInput(port);
+        }
+        const inputIds = this.getConnectedInputIds();
+        if (!inputIds.includes(this.activeMidiInputId)) {
+            this.activeMidiInputId = inputIds[0] ?? null;
+        }
+        else if (this.activeMidiInputId === null && inputIds.length > 0) {
+            this.activeMidiInputId = inputIds[0];
+        }
+        this.dispatchEvent(new CustomEvent('inputs-changed', {
+            detail: { inputIds, activeMidiInputId: this.activeMidiInputId },
+        }));
+    }
+
+    getConnectedInputIds() {
+        return [...this.access.inputs.values()]
+            .filter(input => input.state === 'connected')
+            .map(input => input.id);
+    }
+
+    handleMessage(deviceId, data, time = performance.now()) {
+        const statusByte = data[0];
+        if (statusByte >= 0xf8) {
+            this.handleRealtimeMessage(deviceId, statusByte, time);
+            return;
+        }
+        const channel = statusByte & 0x0f;
+        const messageType = statusByte & 0xf0;
+        const emit = (type, detail) => {
+            this.dispatchEvent(new CustomEvent(type, { detail: { ...detail, channel, deviceId } }));
+        };
+
+        switch (messageType) {
+            case 0x80:
+                emit('note-off', { note: data[1], velocity: data[2] });
+                break;
+            case 0x90:
+                // Note On with velocity 0 is a Note Off.
+                if (data[2] === 0) {
+                    emit('note-off', { note: data[1], velocity: 0 });
+                }
+                else {
+                    emit('note-on', { note: data[1], velocity: data[2] });
                 }
+                break;
+            case 0xb0: {
+                const key = `${channel}:${data[1]}`;
+                const now = performance.now();
+                // Motor faders bounce our feedback back; don't treat it as a move.
+                if (isRecent(this.sentCcs.get(key), data[2], now)) break;
+                this.receivedCcs.set(key, { value: data[2], time: now });
+                emit('cc-message', { cc: data[1], value: data[2] });
+                this.handle14BitCc(deviceId, channel, data[1], data[2], emit);
+                break;
+            }
+            case 0xc0:
+                emit('program-change', { program: data[1] });
+                break;
+            case 0xd0:
+                emit('channel-pressure', { pressure: data[1] });
+                break;
+            case 0xe0:
+                emit('pitch-bend', { value: ((data[2] << 7) | data[1]) - 8192 });
+                break;
+        }
+    }
+
+    handleRealtimeMessage(deviceId, statusByte, time) {
+        const transport = { 0xfa: 'start', 0xfb: 'continue', 0xfc: 'stop' }[statusByte];
+        if (statusByte === 0xf8) {
+            this.dispatchEvent(new CustomEvent('clock', { detail: { time, deviceId } }));
+        }
+        else if (transport) {
+            this.dispatchEvent(new CustomEvent('transport', { detail: { state: transport, deviceId } }));
+        }
+    }
 
-                const statusByte = data[0];
-                const channel = statusByte & 0x0f;
-                const messageType = statusByte & 0xf0;
-                const isControlChange = messageType === 0xb0;
+    handle14BitCc(deviceId, channel, cc, value, emit) {
+        if (cc < 32) {
+            this.ccMsb.set(`${deviceId}:${channel}:${cc}`, value);
+        }
+        else if (cc < 64) {
+            const key = `${deviceId}:${channel}:${cc - 32}`;
+            const msb = this.ccMsb.get(key);
+            if (msb === undefined) return;
+            emit('cc14-message', { cc: cc - 32, value: (msb << 7) | value });
+        }
+    }
 
-                if (!isControlChange) return;
+    /** The output port belonging to the same device as the active input, if any. */
+    getActiveOutput() {
+        const input = this.access?.inputs.get(this.activeMidiInputId);
+        if (!input) return null;
+        return [...this.access.outputs.values()].find(output =>
+            output.state === 'connected' &&
+            output.name === input.name &&
+            output.manufacturer === input.manufacturer) ?? null;
+    }
 
-                const detail = { cc: data[1], value: data[2], channel };
-                this.dispatchEvent(new CustomEvent('cc-message', { detail }));
-            };
+    /** Sends raw bytes to the active output, optionally at a `performance.now()` timestamp. */
+    send(data, timestamp) {
+        this.getActiveOutput()?.send(data, timestamp);
+    }
+
+    /**
+     * Queues a CC for the active output. Only the latest value per CC is
+     * sent, at most every `FEEDBACK_INTERVAL`, and unchanged values are
+     * skipped unless `force` is set.
+     */
+    sendCc(channel, cc, value, force = false) {
+        const key = `${channel}:${cc}`;
+        if (!force && this.sentCcs.get(key)?.value === value) return;
+        this.pendingCcs.set(key, { channel, cc, value });
+        this.flushTimeout ??= setTimeout(() => this.flushCcs(), FEEDBACK_INTERVAL);
+    }
+
+    flushCcs() {
+        this.flushTimeout = null;
+        const output = this.getActiveOutput();
+        const now = performance.now();
+        for (const [key, { channel, cc, value }] of this.pendingCcs) {
+            // The controller just sent this value itself; echoing it would fight the fader.
+            if (isRecent(this.receivedCcs.get(key), value, now)) {
+                this.sentCcs.set(key, { value, time: 0 });
+                continue;
+            }
+            output?.send([0xb0 | channel, cc, value]);
+            this.sentCcs.set(key, { value, time: now });
         }
-        return inputIds;
+        this.pendingCcs.clear();
+    }
+
+    /** Lights (or with velocity 0, turns off) a pad. Unchanged notes are skipped unless `force` is set. */
+    sendNote(channel, note, velocity, force = false) {
+        const key = `${channel}:${note}`;
+        if (!force && this.sentNotes.get(key) === velocity) return;
+        this.sentNotes.set(key, velocity);
+        this.getActiveOutput()?.send([0x90 | channel, note, velocity]);
     }
 
     getDeviceName(id) {
@@ -60,3 +229,7 @@ export class MidiDispatcher extends EventTarget {
         return input ? input.name : null;
     }
 }
+
+function isRecent(entry, value, now) {
+    return entry !== undefined && entry.value === value && now - entry.time < ECHO_WINDOW;
+}
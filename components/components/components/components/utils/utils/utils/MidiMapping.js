@@ -0,0 +1,122 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { GAMEPAD_BUTTON_CC, isGamepadDevice } from './GamepadDispatcher.js';
+
+export const MAPPING_CURVES = [
+    { value: 'linear', label: 'Linear' },
+    { value: 'log', label: 'Log' },
+    { value: 'exp', label: 'Exp' },
+    { value: 's-curve', label: 'S-curve' },
+];
+
+/**
+ * How a CC is turned into a control's value. `min` and `max` are fractions
+ * of the control's own range.
+ */
+export const DEFAULT_MAPPING = {
+    min: 0,
+    max: 1,
+    invert: false,
+    curve: 'linear',
+    softTakeover: true,
+};
+
+/** How close, as a fraction of the range, a knob must come to pick up a value. */
+const PICKUP_THRESHOLD = 0.03;
+
+/**
+ * Whether a `cc-message` detail is meant for a control learned as
+ * `{cc, channel, deviceId}`. A null channel or device matches any MIDI
+ * device, which is how the default (unlearned) assignments behave; gamepads
+ * only drive controls learned from them, whatever slot they were learned in.
+ */
+export function matchesControl(control, { cc, channel, deviceId }) {
+    return cc === control.cc &&
+        (control.channel == null || isGamepadDevice(deviceId) || control.channel === channel) &&
+        (control.deviceId == null ? !isGamepadDevice(deviceId) : control.deviceId === deviceId);
+}
+
+/** The label shown for a control's assignment, e.g. 'CC:3 ch2' or 'Pad B0'. */
+export function describeControl({ cc, channel, deviceId }) {
+    if (isGamepadDevice(deviceId)) {
+        return cc < GAMEPAD_BUTTON_CC ? `Pad A${cc}` : `Pad B${cc - GAMEPAD_BUTTON_CC}`;
+    }
+    return `CC:${cc}${channel == null ? '' : ` ch${channel + 1}`}`;
+}
+
+function applyCurve(curve, x) {
+    switch (curve) {
+        case 'log':
+            return Math.log1p(9 * x) / Math.log(10);
+        case 'exp':
+            return (10 ** x - 1) / 9;
+        case 's-curve':
+            return x * x * (3 - 2 * x);
+        default:
+            return x;
+    }
+}
+
+function invertCurve(curve, y) {
+    switch (curve) {
+        case 'log':
+            return (10 ** y - 1) / 9;
+        case 'exp':
+            return Math.log1p(9 * y) / Math.log(10);
+        case 's-curve':
+            return 0.5 - Math.sin(Math.asin(1 - 2 * y) / 3);
+        default:
+            return y;
+    }
+}
+
+/** Maps a 7-bit CC value to a fraction of the control's range. */
+export function mapCcValue(mapping, value) {
+    const { min, max, invert, curve } = { ...DEFAULT_MAPPING, ...mapping };
+    let x = value / 127;
+    if (invert) x = 1 - x;
+    return min + (max - min) * applyCurve(curve, x);
+}
+
+/**
+ * The inverse of `mapCcValue`: the CC value a controller should show for a
+ * fraction of the control's range. Used for motor faders and LED rings.
+ */
+export function unmapCcValue(mapping, fraction) {
+    const { min, max, invert, curve } = { ...DEFAULT_MAPPING, ...mapping };
+    const y = max === min ? 0 : Math.max(0, Math.min(1, (fraction - min) / (max - min)));
+    let x = invertCurve(curve, y);
+    if (invert) x = 1 - x;
+    return Math.round(Math.max(0, Math.min(1, x)) * 127);
+}
+
+/**
+ * Soft takeover ("pickup"): a physical knob is ignored until it reaches or
+ * crosses the control's current value, so the value doesn't jump.
+ */
+export class SoftTakeover {
+    constructor() {
+        this.pickedUp = false;
+        this.lastFraction = null;
+    }
+
+    /** Call when the value changed from somewhere else, e.g. the mouse or a scene. */
+    release() {
+        this.pickedUp = false;
+        this.lastFraction = null;
+    }
+
+    /** Returns whether an incoming `fraction` should be applied over `current`. */
+    accept(fraction, current) {
+        const last = this.lastFraction;
+        this.lastFraction = fraction;
+        if (this.pickedUp) return true;
+        const crossed = last !== null && (last - current) * (fraction - current) <= 0;
+        if (crossed || Math.abs(fraction - current) <= PICKUP_THRESHOLD) {
+            this.pickedUp = true;
+        }
+        return this.pickedUp;
+    }
+}
@@ -0,0 +1,85 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+import { decodeOscPacket, encodeOscMessage } from './OscCodec.js';
+
+/** Delay before trying the WebSocket again after it closes, in ms. */
+const RECONNECT_DELAY = 2000;
+
+/**
+ * Exchanges OSC packets with a WebSocket endpoint, such as the bundled
+ * `osc-relay.mjs` that bridges to UDP. Each binary frame is one OSC packet.
+ * Dispatches `osc-message` with `{address, args}` for every message, bundles
+ * unpacked, `open` once connected, and `info` when the connection comes up
+ * or goes away. It keeps reconnecting until `close()` is called.
+ */
+export class OscBridge extends EventTarget {
+    constructor(url) {
+        super();
+        this.url = url;
+        this.socket = null;
+        this.connected = false;
+        this.reconnectTimeout = null;
+        this.closed = false;
+    }
+
+    connect() {
+        this.closed = false;
+        let socket;
+        try {
+            socket = new WebSocket(this.url);
+        }
+        catch (e) {
+            this.dispatchEvent(new CustomEvent('error', { detail: `Invalid OSC endpoint ${this.url}.` }));
+            return;
+        }
+        socket.binaryType = 'arraybuffer';
+        socket.onopen = () => {
+            this.connected = true;
+            this.dispatchEvent(new CustomEvent('open'));
+            this.dispatchEvent(new CustomEvent('info', { detail: `OSC connected to ${this.url}.` }));
+        };
+        socket.onmessage = (event) => this.handlePacket(event.data);
+        socket.onclose = () => {
+            if (socket !== this.socket) return;
+            if (this.connected) {
+                this.dispatchEvent(new CustomEvent('info', { detail: 'OSC connection lost.' }));
+            }
+            this.connected = false;
+            this.socket = null;
+            if (!this.closed) {
+                this.reconnectTimeout = setTimeout(() => this.connect(), RECONNECT_DELAY);
+            }
+        };
+        this.socket = socket;
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.reconnectTimeout);
+        this.socket?.close();
+        this.socket = null;
+        this.connected = false;
+    }
+
+    handlePacket(data) {
+        if (!(data instanceof ArrayBuffer)) return;
+        let messages;
+        try {
+            messages = decodeOscPacket(data);
+        }
+        catch (e) {
+            console.warn(e.message);
+            return;
+        }
+        for (const message of messages) {
+            this.dispatchEvent(new CustomEvent('osc-message', { detail: message }));
+        }
+    }
+
+    send(address, args) {
+        if (!this.connected) return;
+        this.socket.send(encodeOscMessage(address, args));
+    }
+}
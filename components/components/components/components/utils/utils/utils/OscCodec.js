@@ -0,0 +1,202 @@
+/**
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+*/
+const BUNDLE_TAG = '#bundle';
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+function padded(length) {
+    return (length + 3) & ~3;
+}
+
+function readString(view, offset) {
+    let end = offset;
+    while (end < view.byteLength && view.getUint8(end) !== 0) end++;
+    const value = textDecoder.decode(new Uint8Array(view.buffer, view.byteOffset + offset, end - offset));
+    return { value, offset: padded(end + 1) };
+}
+
+function encodeString(value) {
+    const bytes = textEncoder.encode(value);
+    const out = new Uint8Array(padded(bytes.length + 1));
+    out.set(bytes);
+    return out;
+}
+
+function decodeMessage(view) {
+    const address = readString(view, 0);
+    let offset = address.offset;
+    // A message without a type tag string has no arguments.
+    if (offset >= view.byteLength) return { address: address.value, args: [] };
+    const typeTags = readString(view, offset);
+    offset = typeTags.offset;
+    const args = [];
+    for (const tag of typeTags.value.slice(1)) {
+        switch (tag) {
+            case 'i':
+                args.push(view.getInt32(offset));
+                offset += 4;
+                break;
+            case 'f':
+                args.push(view.getFloat32(offset));
+                offset += 4;
+                break;
+            case 'h':
+                args.push(Number(view.getBigInt64(offset)));
+                offset += 8;
+                break;
+            case 'd':
+                args.push(view.getFloat64(offset));
+                offset += 8;
+                break;
+            case 't':
+                offset += 8;
+                break;
+            case 's':
+            case 'S': {
+                const string = readString(view, offset);
+                args.push(string.value);
+                offset = string.offset;
+                break;
+            }
+            case 'b': {
+                const size = view.getInt32(offset);
+                args.push(new Uint8Array(view.buffer.slice(view.byteOffset + offset + 4, view.byteOffset + offset + 4 + size)));
+                offset += 4 + padded(size);
+                break;
+            }
+            case 'T':
+            case 'I':
+                args.push(true);
+                break;
+            case 'F':
+                args.push(false);
+                break;
+            case 'N':
+                args.push(null);
+                break;
+            default:
+                throw new Error(`Unsupported OSC type tag "${tag}".`);
+        }
+    }
+    return { address: address.value, args };
+}
+
+function decodeElement(view, messages) {
+    const head = readString(view, 0);
+    if (head.value !== BUNDLE_TAG) {
+        messages.push(decodeMessage(view));
+        return;
+    }
+    // Bundle time tags are ignored; everything is applied on arrival.
+    let offset = head.offset + 8;
+    while (offset < view.byteLength) {
+        const size = view.getInt32(offset);
+        decodeElement(new DataView(view.buffer, view.byteOffset + offset + 4, size), messages);
+        offset += 4 + size;
+    }
+}
+
+/**
+ * Decodes an OSC packet into a flat list of `{address, args}` messages,
+ * unpacking bundles. Throws on malformed packets.
+ */
+export function decodeOscPacket(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const messages = [];
+    try {
+        decodeElement(new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), messages);
+    }
+    catch (e) {
+        throw new Error(`Malformed OSC packet: ${e.message}`);
+    }
+    return messages;
+}
+
+/**
+ * Encodes one OSC message. Numbers are sent as floats, which is what most
+ * OSC surfaces expect; pass `{type: 'i', value}` for an int.
+ */
+export function encodeOscMessage(address, args = []) {
+    let typeTags = ',';
+    const chunks = [];
+    for (const arg of args) {
+        const { type, value } = typeof arg === 'object' && arg !== null && 'type' in arg ? arg : { type: typeOf(arg), value: arg };
+        typeTags += type;
+        if (type === 'i' || type === 'f') {
+            const chunk = new DataView(new ArrayBuffer(4));
+            type === 'i' ? chunk.setInt32(0, value) : chunk.setFloat32(0, value);
+            chunks.push(new Uint8Array(chunk.buffer));
+        }
+        else if (type === 's') {
+            chunks.push(encodeString(value));
+        }
+        else if (type === 'b') {
+            const chunk = new Uint8Array(4 + padded(value.length));
+            new DataView(chunk.buffer).setInt32(0, value.length);
+            chunk.set(value, 4);
+            chunks.push(chunk);
+        }
+    }
+    const parts = [encodeString(address), encodeString(typeTags), ...chunks];
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+function typeOf(value) {
+    if (typeof value === 'number') return 'f';
+    if (typeof value === 'string') return 's';
+    if (value === true) return 'T';
+    if (value === false) return 'F';
+    if (value === null) return 'N';
+    if (value instanceof Uint8Array) return 'b';
+    throw new Error(`Can't send ${typeof value} over OSC.`);
+}
+
+/**
+ * Whether an OSC address pattern part such as `?`, `[0-3]`, `[!0]` or
+ * `{bpm,density}` matches a concrete address part. `*` matches anything.
+ */
+export function matchOscPattern(pattern, value) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        switch (c) {
+            case '*':
+                source += '[^/]*';
+                break;
+            case '?':
+                source += '[^/]';
+                break;
+            case '[': {
+                const end = pattern.indexOf(']', i);
+                if (end === -1) return false;
+                const body = pattern.slice(i + 1, end).replace(/\\/g, '\\\\');
+                source += body.startsWith('!') ? `[^${body.slice(1)}]` : `[${body}]`;
+                i = end;
+                break;
+            }
+            case '{': {
+                const end = pattern.indexOf('}', i);
+                if (end === -1) return false;
+                source += `(?:${pattern.slice(i + 1, end).split(',').map(escapeRegExp).join('|')})`;
+                i = end;
+                break;
+            }
+            default:
+                source += escapeRegExp(c);
+        }
+    }
+    return new RegExp(`^${source}$`).test(value);
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -54,4 +54,25 @@ async function decodeAudioData(data, ctx, sampleRate, numChannels) {
     return buffer;
 }
 
-export { createBlob, decode, decodeAudioData, encode };
+/** Recording formats offered in the UI. WAV is written losslessly from the stream. */
+const RECORDING_FORMATS = [
+    { value: 'wav16', label: 'WAV 16-bit', bitDepth: 16 },
+    { value: 'wav24', label: 'WAV 24-bit', bitDepth: 24 },
+    { value: 'webm', label: 'WebM' },
+];
+
+const EXTENSIONS = {
+    'audio/wav': 'wav',
+    'audio/webm': 'webm',
+    'audio/ogg': 'ogg',
+    'audio/mp4': 'm4a',
+    'audio/mpeg': 'mp3',
+};
+
+/** Picks a file extension for a blob's MIME type, ignoring codec parameters. */
+function extensionForMimeType(mimeType) {
+    const base = mimeType.split(';')[0].trim();
+    return EXTENSIONS[base] ?? 'bin';
+}
+
+export { createBlob, decode, decodeAudioData, encode, extensionForMimeType, RECORDING_FORMATS };
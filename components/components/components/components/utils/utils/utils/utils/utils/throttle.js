@@ -5,16 +5,32 @@
 /**
  * Throttles a callback to be called at most once per `delay` milliseconds.
  * Also returns the result of the last "fresh" call...
+ * With `trailing`, a call that lands inside the delay is not dropped but
+ * replayed with the latest arguments once the delay is over.
  */
-export function throttle(func, delay) {
+export function throttle(func, delay, { trailing = false } = {}) {
     let lastCall = -Infinity;
     let lastResult;
+    let trailingArgs = null;
+    let trailingTimeout = null;
+    const call = (args) => {
+        lastResult = func(...args);
+        lastCall = Date.now();
+    };
     return (...args) => {
         const now = Date.now();
         const timeSinceLastCall = now - lastCall;
         if (timeSinceLastCall >= delay) {
-            lastResult = func(...args);
-            lastCall = now;
+            clearTimeout(trailingTimeout);
+            trailingTimeout = null;
+            call(args);
+        }
+        else if (trailing) {
+            trailingArgs = args;
+            trailingTimeout ??= setTimeout(() => {
+                trailingTimeout = null;
+                call(trailingArgs);
+            }, delay - timeSinceLastCall);
         }
         return lastResult;
     };
@@ -6,61 +6,210 @@
 import { GoogleGenAI } from '@google/genai';
 import { PromptDjMidi } from './components/PromptDjMidi.js';
 import { ToastMessage } from './components/ToastMessage.js';
+import { CrossfaderControl } from './components/CrossfaderControl.js';
 import { LiveMusicHelper } from './utils/LiveMusicHelper.js';
+import { MasterBus } from './utils/MasterBus.js';
+import { Crossfader } from './utils/Crossfader.js';
 import { AudioAnalyser } from './utils/AudioAnalyser.js';
+import { LocalMusicBackend } from './utils/LocalMusicBackend.js';
+import { OscBridge } from './utils/OscBridge.js';
+import { OscRouter } from './utils/OscRouter.js';
 
 const model = 'lyria-realtime-exp';
 
+/** localStorage key remembering the last backend chosen with `?backend=`. */
+const BACKEND_STORAGE_KEY = 'promptdj-backend';
+/** localStorage key remembering the OSC WebSocket endpoint set with `?osc=`. */
+const OSC_STORAGE_KEY = 'promptdj-osc';
+/** localStorage key of the crossfader position, curve and MIDI assignment. */
+const CROSSFADER_STORAGE_KEY = 'promptdj-crossfader';
+/** localStorage key of the second deck's session; the first keeps the single-deck one. */
+const DECK_B_SESSION_KEY = 'promptdj-session-b';
+
 async function main() {
-    const apiKey = process.env.API_KEY;
-    if (!apiKey) {
+    const backend = createBackend();
+    if (!backend) {
         document.body.innerHTML = `
 <div style="font-family: 'Google Sans', sans-serif; display: flex; flex-direction: column; justify-content: center; align-items: center; height: 100vh; background: #212121; color: #fff; text-align: center; padding: 1em;">
   <h1 style="font-weight: 500;">API Key Not Found</h1>
-  <p style="color: #ccc;">Please set the API_KEY environment variable to use this application.</p>
+  <p style="color: #ccc;">Please set the API_KEY environment variable to use this application, or <a style="color: #fff;" href="?backend=local">use the offline backend</a>.</p>
 </div>`;
         console.error("API_KEY environment variable not set.");
         return;
     }
 
-    const ai = new GoogleGenAI({ apiKey, apiVersion: 'v1alpha' });
-    const initialPrompts = buildInitialPrompts();
-    const pdjMidi = new PromptDjMidi(initialPrompts);
-    document.body.appendChild(pdjMidi);
-
     const toastMessage = new ToastMessage();
+
+    const infoToast = (e) => {
+        const message = e.detail;
+        toastMessage.show(message);
+    };
+
+    const errorToast = (e) => {
+        const error = e.detail;
+        toastMessage.show(error);
+    };
+
+    // `?decks=2` runs two decks side by side, mixed through a crossfader.
+    const twoDecks = new URLSearchParams(location.search).get('decks') === '2';
+    const bus = new MasterBus(new AudioContext({ sampleRate: 48000 }));
+    bus.addEventListener('error', errorToast);
+    const crossfader = twoDecks ? new Crossfader(bus.context, bus.input) : null;
+
+    const audioAnalyser = new AudioAnalyser(bus.context);
+    bus.extraDestination = audioAnalyser.node;
+
+    const decks = (twoDecks ? ['A', 'B'] : [null]).map((name, i) => {
+        const initialPrompts = buildInitialPrompts(twoDecks ? i : null);
+        const pdjMidi = new PromptDjMidi(initialPrompts, { sessionKey: i === 1 ? DECK_B_SESSION_KEY : undefined });
+        document.body.appendChild(pdjMidi);
+        const liveMusicHelper = new LiveMusicHelper(backend, model, { bus, output: crossfader?.inputs[i], name });
+        liveMusicHelper.setWeightedPrompts(initialPrompts);
+        connectDeck(pdjMidi, liveMusicHelper, toastMessage, errorToast, infoToast);
+        return { pdjMidi, liveMusicHelper };
+    });
+
     document.body.appendChild(toastMessage);
 
-    const liveMusicHelper = new LiveMusicHelper(ai, model);
-    liveMusicHelper.setWeightedPrompts(initialPrompts);
+    // The meters run while anything plays, loops included.
+    const updateAnalyser = () => {
+        if (bus.isPlaying) {
+            audioAnalyser.start();
+            return;
+        }
+        audioAnalyser.stop();
+        for (const { pdjMidi } of decks) {
+            pdjMidi.analysis = null;
+            pdjMidi.spectrum = null;
+        }
+    };
+
+    for (const { pdjMidi, liveMusicHelper } of decks) {
+        liveMusicHelper.addEventListener('playback-state-changed', updateAnalyser);
+        liveMusicHelper.looper.addEventListener('slots-changed', updateAnalyser);
+
+        // `?fresh` skips the saved session, e.g. if it keeps breaking the page.
+        if (new URLSearchParams(location.search).has('fresh')) {
+            pdjMidi.startFresh();
+        }
+        else {
+            pdjMidi.restoreSession();
+        }
+    }
+
+    if (twoDecks) {
+        setUpDecks(crossfader, decks, bus);
+    }
 
-    const audioAnalyser = new AudioAnalyser(liveMusicHelper.audioContext);
-    liveMusicHelper.extraDestination = audioAnalyser.node;
+    // With two decks, OSC drives deck A.
+    const oscBridge = createOscBridge();
+    if (oscBridge) {
+        new OscRouter(oscBridge, decks[0].pdjMidi, decks[0].liveMusicHelper);
+        oscBridge.addEventListener('info', infoToast);
+        oscBridge.addEventListener('error', errorToast);
+        oscBridge.connect();
+    }
 
+    audioAnalyser.addEventListener('audio-level-changed', (e) => {
+        const level = e.detail;
+        for (const { pdjMidi } of decks) pdjMidi.audioLevel = level;
+    });
+
+    audioAnalyser.addEventListener('analysis', (e) => {
+        for (const { pdjMidi } of decks) {
+            pdjMidi.analysis = e.detail;
+            if (pdjMidi.showMeters) {
+                pdjMidi.spectrum = audioAnalyser.getSpectrum();
+                pdjMidi.spectrumBinWidth = audioAnalyser.binWidth;
+            }
+        }
+    });
+}
+
+/** Wires a prompt grid to the helper playing it. */
+function connectDeck(pdjMidi, liveMusicHelper, toastMessage, errorToast, infoToast) {
     pdjMidi.addEventListener('prompts-changed', (e) => {
         const prompts = e.detail;
         liveMusicHelper.setWeightedPrompts(prompts);
     });
 
+    pdjMidi.addEventListener('config-changed', (e) => {
+        const changes = e.detail;
+        liveMusicHelper.setMusicGenerationConfig(changes);
+    });
+
+    pdjMidi.addEventListener('effects-changed', (e) => {
+        const changes = e.detail;
+        liveMusicHelper.setEffects(changes);
+    });
+
     pdjMidi.addEventListener('play-pause', () => {
         liveMusicHelper.playPause();
     });
 
-    pdjMidi.addEventListener('start-recording', () => {
-        liveMusicHelper.startRecording();
+    pdjMidi.addEventListener('play', () => {
+        if (liveMusicHelper.playbackState === 'paused' || liveMusicHelper.playbackState === 'stopped') {
+            liveMusicHelper.play();
+        }
+    });
+
+    pdjMidi.addEventListener('pause', () => {
+        if (liveMusicHelper.playbackState === 'playing' || liveMusicHelper.playbackState === 'loading') {
+            liveMusicHelper.pause();
+        }
+    });
+
+    // With two decks, either record button records the whole mix.
+    pdjMidi.addEventListener('start-recording', (e) => {
+        const { format } = e.detail;
+        liveMusicHelper.startRecording(format);
     });
 
     pdjMidi.addEventListener('stop-recording', async () => {
-        const audioBlob = await liveMusicHelper.stopRecording();
-        if (audioBlob) {
-            pdjMidi.downloadRecording(audioBlob);
+        const recording = await liveMusicHelper.stopRecording();
+        if (recording) {
+            pdjMidi.downloadRecording(recording.blob, recording.cueSheet);
         }
     });
 
     liveMusicHelper.addEventListener('playback-state-changed', (e) => {
         const playbackState = e.detail;
         pdjMidi.playbackState = playbackState;
-        playbackState === 'playing' ? audioAnalyser.start() : audioAnalyser.stop();
+        if (playbackState === 'stopped') pdjMidi.connectionStatus = '';
+    });
+
+    liveMusicHelper.addEventListener('config-changed', (e) => {
+        const config = e.detail;
+        pdjMidi.config = config;
+    });
+
+    liveMusicHelper.addEventListener('effects-changed', (e) => {
+        const effects = e.detail;
+        pdjMidi.effects = effects;
+    });
+
+    pdjMidi.addEventListener('loop-action', (e) => {
+        liveMusicHelper.looper.run(e.detail);
+    });
+
+    liveMusicHelper.looper.addEventListener('slots-changed', (e) => {
+        const slots = e.detail;
+        pdjMidi.loopSlots = slots;
+    });
+    liveMusicHelper.looper.dispatchSlots();
+
+    liveMusicHelper.addEventListener('buffer-stats', (e) => {
+        const stats = e.detail;
+        pdjMidi.bufferStats = stats;
+    });
+
+    liveMusicHelper.addEventListener('reconnecting', (e) => {
+        const { attempt, maxAttempts } = e.detail;
+        pdjMidi.connectionStatus = `Reconnecting (${attempt}/${maxAttempts})…`;
+    });
+
+    liveMusicHelper.addEventListener('reconnected', () => {
+        pdjMidi.connectionStatus = '';
     });
 
     liveMusicHelper.addEventListener('filtered-prompt', (e) => {
@@ -69,27 +218,103 @@ async function main() {
         pdjMidi.addFilteredPrompt(filteredPrompt.text);
     });
 
-    const infoToast = (e) => {
-        const message = e.detail;
-        toastMessage.show(message);
-    };
-
-    const errorToast = (e) => {
-        const error = e.detail;
-        toastMessage.show(error);
-    };
-
     liveMusicHelper.addEventListener('error', errorToast);
+    liveMusicHelper.looper.addEventListener('error', errorToast);
     pdjMidi.addEventListener('error', errorToast);
     pdjMidi.addEventListener('info', infoToast);
+}
 
-    audioAnalyser.addEventListener('audio-level-changed', (e) => {
-        const level = e.detail;
-        pdjMidi.audioLevel = level;
+/**
+ * Adds the crossfader control for two decks, restoring its last settings,
+ * keeps both record buttons in step, and gives the keyboard to whichever
+ * deck was touched last.
+ */
+function setUpDecks(crossfader, decks, bus) {
+    document.body.classList.add('decks');
+    const control = new CrossfaderControl();
+    control.midiDispatchers = decks.map(d => d.pdjMidi.midiDispatcher);
+    const apply = ({ position, curve, cc, channel, deviceId }) => {
+        crossfader.setPosition(position);
+        crossfader.setCurve(curve);
+        Object.assign(control, { position, curve, cc, channel, deviceId });
+    };
+    try {
+        const saved = JSON.parse(localStorage.getItem(CROSSFADER_STORAGE_KEY));
+        if (saved) apply({ position: control.position, curve: control.curve, ...saved });
+    }
+    catch (e) {
+        console.warn('Ignoring the saved crossfader:', e);
+    }
+    control.addEventListener('crossfader-changed', (e) => {
+        apply(e.detail);
+        localStorage.setItem(CROSSFADER_STORAGE_KEY, JSON.stringify(e.detail));
+    });
+    decks.forEach(({ liveMusicHelper }, i) => {
+        liveMusicHelper.addEventListener('playback-state-changed', (e) => {
+            control.deckStates = control.deckStates.map((state, j) => (j === i ? e.detail : state));
+        });
     });
+    document.body.appendChild(control);
+
+    for (const { pdjMidi } of decks) {
+        pdjMidi.addEventListener('start-recording', () => {
+            for (const deck of decks) deck.pdjMidi.isRecording = bus.isRecording;
+        });
+        pdjMidi.addEventListener('stop-recording', () => {
+            for (const deck of decks) deck.pdjMidi.isRecording = false;
+        });
+    }
+
+    const focusDeck = (active) => {
+        for (const { pdjMidi } of decks) {
+            pdjMidi.keysEnabled = pdjMidi === active;
+            pdjMidi.classList.toggle('active', pdjMidi === active);
+            if (pdjMidi !== active) pdjMidi.releaseSolos();
+        }
+    };
+    for (const { pdjMidi } of decks) {
+        pdjMidi.addEventListener('pointerdown', () => focusDeck(pdjMidi));
+    }
+    focusDeck(decks[0].pdjMidi);
+}
+
+/**
+ * Picks the music backend from the `backend` query param (`local` or
+ * `genai`), falling back to the last choice. Returns null if the online
+ * backend is wanted but there is no API key.
+ */
+function createBackend() {
+    const requested = new URLSearchParams(location.search).get('backend');
+    if (requested) localStorage.setItem(BACKEND_STORAGE_KEY, requested);
+    const choice = requested ?? localStorage.getItem(BACKEND_STORAGE_KEY);
+    if (choice === 'local') {
+        return new LocalMusicBackend();
+    }
+    const apiKey = process.env.API_KEY;
+    if (!apiKey) return null;
+    const ai = new GoogleGenAI({ apiKey, apiVersion: 'v1alpha' });
+    return ai.live.music;
+}
+
+/**
+ * Creates the OSC bridge for the WebSocket endpoint in the `osc` query param,
+ * e.g. `?osc=ws://localhost:8080`, falling back to the last one used.
+ * `?osc=off` turns it off again.
+ */
+function createOscBridge() {
+    const requested = new URLSearchParams(location.search).get('osc');
+    if (requested === 'off') {
+        localStorage.removeItem(OSC_STORAGE_KEY);
+    }
+    else if (requested) {
+        localStorage.setItem(OSC_STORAGE_KEY, requested);
+    }
+    const url = localStorage.getItem(OSC_STORAGE_KEY);
+    return url ? new OscBridge(url) : null;
 }
 
-function buildInitialPrompts() {
+/** @param channel The MIDI channel of the prompts' faders, or null for any. */
+function buildInitialPrompts(channel = null) {
     const startOn = [...DEFAULT_PROMPTS]
         .sort(() => Math.random() - 0.5)
         .slice(0, 3);
@@ -104,6 +329,7 @@ function buildInitialPrompts() {
             text,
             weight: startOn.includes(prompt) ? 1 : 0,
             cc: i,
+            ...(channel === null ? {} : { channel }),
             color,
         });
     }
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Relays OSC between UDP, which TouchOSC, Max and friends
+ * speak, and the WebSocket the browser's OSC bridge connects to. No
+ * dependencies beyond Node itself.
+ *
+ *   node osc-relay.mjs [--ws-port=8080] [--udp-port=9000] [--send=127.0.0.1:9001]
+ *
+ * Then open the app with `?osc=ws://localhost:8080`. OSC sent to UDP port
+ * 9000 reaches the app, and the app's state goes out to 127.0.0.1:9001.
+ * @license
+ * SPDX-License-Identifier: Apache-2.0
+ */
+import { createHash } from 'node:crypto';
+import { createSocket } from 'node:dgram';
+import { createServer } from 'node:http';
+
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+const options = Object.fromEntries(process.argv.slice(2).map(arg => arg.replace(/^--/, '').split('=')));
+const wsPort = Number(options['ws-port'] ?? 8080);
+const udpPort = Number(options['udp-port'] ?? 9000);
+const [sendHost, sendPort] = (options.send ?? '127.0.0.1:9001').split(':');
+
+const clients = new Set();
+const udp = createSocket('udp4');
+
+udp.on('message', (packet) => {
+    for (const socket of clients) socket.write(encodeFrame(0x2, packet));
+});
+udp.bind(udpPort, () => console.log(`Listening for OSC on udp://0.0.0.0:${udpPort}, sending to ${sendHost}:${sendPort}`));
+
+const server = createServer((req, res) => {
+    res.writeHead(426, { 'Content-Type': 'text/plain' });
+    res.end('This is an OSC WebSocket relay.\n');
+});
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key) {
+        socket.destroy();
+        return;
+    }
+    const accept = createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+    clients.add(socket);
+    console.log(`WebSocket client connected (${clients.size})`);
+
+    let buffer = Buffer.alloc(0);
+    socket.on('data', (chunk) => {
+        buffer = Buffer.concat([buffer, chunk]);
+        let frame;
+        while ((frame = decodeFrame(buffer))) {
+            buffer = buffer.subarray(frame.length);
+            handleFrame(socket, frame);
+        }
+    });
+    const drop = () => {
+        if (clients.delete(socket)) console.log(`WebSocket client disconnected (${clients.size})`);
+    };
+    socket.on('close', drop);
+    socket.on('error', drop);
+});
+
+server.listen(wsPort, () => console.log(`WebSocket relay on ws://localhost:${wsPort}`));
+
+function handleFrame(socket, { opcode, payload }) {
+    switch (opcode) {
+        case 0x2:
+            udp.send(payload, Number(sendPort), sendHost);
+            break;
+        case 0x8:
+            socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+            break;
+        case 0x9:
+            socket.write(encodeFrame(0xa, payload));
+            break;
+    }
+}
+
+/** Parses one client frame from the front of `buffer`, or returns null until it's complete. */
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    }
+    else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) payload[i] ^= buffer[maskOffset + (i % 4)];
+    }
+    return { opcode, payload, length: offset + length };
+}
+
+function encodeFrame(opcode, payload) {
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    }
+    else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    }
+    else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}